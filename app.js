@@ -2,7 +2,7 @@
 
 // --- IndexedDB Setup ---
 const DB_NAME = 'FitnessTrackerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 11;
 let db;
 
 function openDatabase() {
@@ -22,11 +22,77 @@ function openDatabase() {
 
         request.onupgradeneeded = event => {
             const db = event.target.result;
-            // Create object stores (tables) if they don't exist
-            db.createObjectStore('dailyData', { keyPath: 'date' }); // Stores steps, water, calories, macros
-            db.createObjectStore('weights', { keyPath: 'date' }); // Stores weekly weight
-            // No need for 'workouts' store yet, as the plan is static, but useful for custom workouts later
-            console.log('IndexedDB upgrade needed, stores created');
+            // Create object stores (tables) step by step, so existing installs only get what they're missing
+            if (event.oldVersion < 1) {
+                db.createObjectStore('dailyData', { keyPath: 'date' }); // Stores steps, water, calories, macros
+                db.createObjectStore('weights', { keyPath: 'date' }); // Stores weekly weight
+            }
+            if (event.oldVersion < 2) {
+                // Stores logged workout sessions with the actual weight/reps of every set
+                const sessionStore = db.createObjectStore('workoutSessions', { keyPath: 'id', autoIncrement: true });
+                sessionStore.createIndex('date', 'date', { unique: false });
+            }
+            if (event.oldVersion < 3) {
+                db.createObjectStore('plans', { keyPath: 'id', autoIncrement: true }); // Stores editable workout plans
+                db.createObjectStore('settings', { keyPath: 'key' }); // Stores app preferences, e.g. the active plan
+            }
+            if (event.oldVersion < 4) {
+                // Stores every run through a plan (start date, pauses, restarts) so past runs are kept
+                const enrollmentStore = db.createObjectStore('enrollments', { keyPath: 'id', autoIncrement: true });
+                enrollmentStore.createIndex('planId', 'planId', { unique: false });
+            }
+            if (event.oldVersion >= 3 && event.oldVersion < 6) {
+                // Fix up plans saved by older versions in a single pass (see migrateStoredPlan)
+                event.target.transaction.objectStore('plans').openCursor().onsuccess = cursorEvent => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    if (migrateStoredPlan(cursor.value, event.oldVersion)) cursor.update(cursor.value);
+                    cursor.continue();
+                };
+            }
+            if (event.oldVersion < 8) {
+                // Stores individual food diary entries; the day's macros are the sum of its entries
+                const foodStore = db.createObjectStore('foodEntries', { keyPath: 'id', autoIncrement: true });
+                foodStore.createIndex('date', 'date', { unique: false });
+            }
+            if (event.oldVersion < 9) {
+                db.createObjectStore('recipes', { keyPath: 'id', autoIncrement: true }); // Stores the user's recipe library
+            }
+            if (event.oldVersion < 10) {
+                db.createObjectStore('workoutStatus', { keyPath: 'date' }); // Stores completed/partial/skipped marks for planned workouts
+            }
+            if (event.oldVersion < 11) {
+                db.createObjectStore('scheduleOverrides', { keyPath: 'id', autoIncrement: true }); // Stores moved, swapped and shifted workouts
+            }
+            if (event.oldVersion >= 1 && event.oldVersion < 8) {
+                // Turn the single daily macro totals saved by older versions into one quick-add entry per day
+                const foodStore = event.target.transaction.objectStore('foodEntries');
+                event.target.transaction.objectStore('dailyData').openCursor().onsuccess = cursorEvent => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    const { record, quickAdd, changed } = splitLegacyMacros(cursor.value);
+                    if (quickAdd) foodStore.add(quickAdd);
+                    if (changed) cursor.update(record);
+                    cursor.continue();
+                };
+            }
+            if (event.oldVersion >= 2 && event.oldVersion < 7) {
+                // Older versions keyed everything by the UTC date. Sessions know when they started, so re-key them exactly.
+                event.target.transaction.objectStore('workoutSessions').openCursor().onsuccess = cursorEvent => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    const session = cursor.value;
+                    const localDate = getLocalSessionDate(session);
+                    if (localDate !== session.date) cursor.update({ ...session, date: localDate });
+                    cursor.continue();
+                };
+            }
+            if (event.oldVersion >= 1 && event.oldVersion < 7 && new Date().getTimezoneOffset() !== 0) {
+                // Daily data and weights have no timestamp, so we can't tell which ones landed on the wrong day.
+                // Flag them for the user to review in Settings (see renderDateKeyReview).
+                event.target.transaction.objectStore('settings').put({ key: 'dateKeyReview', value: { pending: true, upgradedOn: formatDateString(new Date()) } });
+            }
+            console.log(`IndexedDB upgraded from version ${event.oldVersion} to ${DB_VERSION}`);
         };
     });
 }
@@ -55,6 +121,28 @@ async function getDailyData(date) {
     });
 }
 
+async function getAllDailyData() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['dailyData'], 'readonly');
+    const store = transaction.objectStore('dailyData');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting all daily data');
+    });
+}
+
+async function deleteDailyData(date) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['dailyData'], 'readwrite');
+    const store = transaction.objectStore('dailyData');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(date);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting daily data');
+    });
+}
+
 async function saveWeight(date, weight) {
     if (!db) await openDatabase();
     const transaction = db.transaction(['weights'], 'readwrite');
@@ -66,6 +154,180 @@ async function saveWeight(date, weight) {
     });
 }
 
+async function deleteWeight(date) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['weights'], 'readwrite');
+    const store = transaction.objectStore('weights');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(date);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting weight');
+    });
+}
+
+async function saveFoodEntry(entry) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['foodEntries'], 'readwrite');
+    const store = transaction.objectStore('foodEntries');
+    return new Promise((resolve, reject) => {
+        const request = store.put(entry);
+        request.onsuccess = () => resolve(request.result); // Resolves with the entry id
+        request.onerror = () => reject('Error saving food entry');
+    });
+}
+
+async function getFoodEntriesByDate(date) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['foodEntries'], 'readonly');
+    const store = transaction.objectStore('foodEntries');
+    const index = store.index('date');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(date);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting food entries');
+    });
+}
+
+async function getAllFoodEntries() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['foodEntries'], 'readonly');
+    const store = transaction.objectStore('foodEntries');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting all food entries');
+    });
+}
+
+async function deleteFoodEntry(id) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['foodEntries'], 'readwrite');
+    const store = transaction.objectStore('foodEntries');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting food entry');
+    });
+}
+
+async function saveRecipe(recipe) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['recipes'], 'readwrite');
+    const store = transaction.objectStore('recipes');
+    return new Promise((resolve, reject) => {
+        const request = store.put(recipe);
+        request.onsuccess = () => resolve(request.result); // Resolves with the recipe id
+        request.onerror = () => reject('Error saving recipe');
+    });
+}
+
+async function getAllRecipes() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['recipes'], 'readonly');
+    const store = transaction.objectStore('recipes');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting recipes');
+    });
+}
+
+async function deleteRecipe(id) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['recipes'], 'readwrite');
+    const store = transaction.objectStore('recipes');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting recipe');
+    });
+}
+
+// Generic store access for backup and restore, which work on every object store by name
+
+async function getAllFromStore(storeName) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(`Error reading ${storeName}`);
+    });
+}
+
+// Writes records to a store in one transaction; resolves with their keys in the same order
+async function putRecords(storeName, records) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const keys = [];
+        records.forEach((record, i) => {
+            store.put(record).onsuccess = event => { keys[i] = event.target.result; };
+        });
+        transaction.oncomplete = () => resolve(keys);
+        transaction.onerror = () => reject(`Error writing ${storeName}`);
+    });
+}
+
+// Empties every store named in recordsByStore and refills it, in a single transaction so a failed restore
+// leaves the existing data untouched
+async function replaceStores(recordsByStore) {
+    if (!db) await openDatabase();
+    const storeNames = Object.keys(recordsByStore);
+    const transaction = db.transaction(storeNames, 'readwrite');
+    return new Promise((resolve, reject) => {
+        try {
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                recordsByStore[storeName].forEach(record => store.put(record));
+            });
+        } catch (error) {
+            // put() throws straight away on a record it can't key; the clears already queued must not commit
+            transaction.abort();
+            reject(`Error restoring data: ${error.message}`);
+            return;
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject('Error restoring data');
+    });
+}
+
+// Moves dailyData or weights records by a number of days in one transaction. A record whose new date is
+// taken by one that isn't moving stays put; the dates of those records are resolved.
+async function shiftDateKeys(storeName, dates, days) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => {
+            const moving = new Map(request.result.filter(r => dates.includes(r.date)).map(r => [r.date, r]));
+            const staying = new Set(request.result.filter(r => !moving.has(r.date)).map(r => r.date));
+            const skipped = [];
+            // Skipping one record can block another from moving onto it, so repeat until nothing changes
+            let changed = true;
+            while (changed) {
+                changed = false;
+                moving.forEach((record, date) => {
+                    if (staying.has(addDaysToDateString(date, days))) {
+                        moving.delete(date);
+                        staying.add(date);
+                        skipped.push(date);
+                        changed = true;
+                    }
+                });
+            }
+            moving.forEach((record, date) => store.delete(date));
+            moving.forEach((record, date) => store.put({ ...record, date: addDaysToDateString(date, days) }));
+            transaction.oncomplete = () => resolve(skipped);
+        };
+        transaction.onerror = () => reject('Error moving records');
+    });
+}
+
 async function getAllWeights() {
     if (!db) await openDatabase();
     const transaction = db.transaction(['weights'], 'readonly');
@@ -77,306 +339,5205 @@ async function getAllWeights() {
     });
 }
 
-// --- UI / Tab Navigation ---
+async function saveWorkoutSession(session) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutSessions'], 'readwrite');
+    const store = transaction.objectStore('workoutSessions');
+    return new Promise((resolve, reject) => {
+        const request = store.put(session);
+        request.onsuccess = () => resolve(request.result); // Resolves with the session id
+        request.onerror = () => reject('Error saving workout session');
+    });
+}
 
-document.addEventListener('DOMContentLoaded', async () => {
-    await openDatabase(); // Open DB on app load
+async function getWorkoutSessionsByDate(date) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutSessions'], 'readonly');
+    const index = transaction.objectStore('workoutSessions').index('date');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(date);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting workout sessions');
+    });
+}
 
-    const navItems = document.querySelectorAll('.nav-item');
-    const tabContents = document.querySelectorAll('.tab-content');
+async function getAllWorkoutSessions() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutSessions'], 'readonly');
+    const store = transaction.objectStore('workoutSessions');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting all workout sessions');
+    });
+}
 
-    function showTab(tabId) {
-        tabContents.forEach(content => {
-            content.classList.remove('active');
-        });
-        document.getElementById(tabId).classList.add('active');
+async function savePlan(plan) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['plans'], 'readwrite');
+    const store = transaction.objectStore('plans');
+    return new Promise((resolve, reject) => {
+        const request = store.put(plan);
+        request.onsuccess = () => resolve(request.result); // Resolves with the plan id
+        request.onerror = () => reject('Error saving plan');
+    });
+}
 
-        navItems.forEach(item => {
-            if (item.dataset.tab === tabId) {
-                item.classList.add('active');
-            } else {
-                item.classList.remove('active');
-            }
-        });
-        // Update URL hash for direct linking/bookmarking
-        window.location.hash = tabId;
-        renderContent(tabId); // Render content for the active tab
-    }
+async function getPlan(id) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['plans'], 'readonly');
+    const store = transaction.objectStore('plans');
+    return new Promise((resolve, reject) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting plan');
+    });
+}
 
-    navItems.forEach(item => {
-        item.addEventListener('click', (e) => {
-            e.preventDefault();
-            const tabId = item.dataset.tab;
-            showTab(tabId);
-        });
+async function getAllPlans() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['plans'], 'readonly');
+    const store = transaction.objectStore('plans');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting all plans');
     });
+}
 
-    // Handle initial load based on URL hash
-    const initialTab = window.location.hash ? window.location.hash.substring(1) : 'dashboard';
-    showTab(initialTab);
+async function deletePlan(id) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['plans'], 'readwrite');
+    const store = transaction.objectStore('plans');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting plan');
+    });
+}
+
+async function getSetting(key, defaultValue) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['settings'], 'readonly');
+    const store = transaction.objectStore('settings');
+    return new Promise((resolve, reject) => {
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+        request.onerror = () => reject('Error getting setting');
+    });
+}
 
+async function saveSetting(key, value) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['settings'], 'readwrite');
+    const store = transaction.objectStore('settings');
+    return new Promise((resolve, reject) => {
+        const request = store.put({ key, value });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error saving setting');
+    });
+}
 
-    // --- Dashboard Logic ---
-    const saveDailyDataBtn = document.getElementById('saveDailyData');
-    saveDailyDataBtn.addEventListener('click', async () => {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const steps = parseInt(document.getElementById('stepsInput').value) || 0;
-        const water = parseFloat(document.getElementById('waterInput').value) || 0;
-        const calories = parseInt(document.getElementById('calorieInput').value) || 0;
-        const protein = parseInt(document.getElementById('proteinInput').value) || 0;
-        const carbs = parseInt(document.getElementById('carbInput').value) || 0;
-        const fat = parseInt(document.getElementById('fatInput').value) || 0;
+async function saveEnrollment(enrollment) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['enrollments'], 'readwrite');
+    const store = transaction.objectStore('enrollments');
+    return new Promise((resolve, reject) => {
+        const request = store.put(enrollment);
+        request.onsuccess = () => resolve(request.result); // Resolves with the enrollment id
+        request.onerror = () => reject('Error saving enrollment');
+    });
+}
+
+async function getEnrollmentsByPlan(planId) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['enrollments'], 'readonly');
+    const index = transaction.objectStore('enrollments').index('planId');
+    return new Promise((resolve, reject) => {
+        const request = index.getAll(planId);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting enrollments');
+    });
+}
+
+async function getAllEnrollments() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['enrollments'], 'readonly');
+    const store = transaction.objectStore('enrollments');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting all enrollments');
+    });
+}
+
+async function saveWorkoutStatus(record) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutStatus'], 'readwrite');
+    const store = transaction.objectStore('workoutStatus');
+    return new Promise((resolve, reject) => {
+        const request = store.put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error saving workout status');
+    });
+}
+
+async function getAllWorkoutStatuses() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutStatus'], 'readonly');
+    const store = transaction.objectStore('workoutStatus');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting workout statuses');
+    });
+}
+
+async function deleteWorkoutStatus(date) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['workoutStatus'], 'readwrite');
+    const store = transaction.objectStore('workoutStatus');
+    return new Promise((resolve, reject) => {
+        const request = store.delete(date);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject('Error deleting workout status');
+    });
+}
+
+// One reschedule (a move, swap or shift) is saved as a group of records with the same createdAt
+async function saveScheduleOverrides(records) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['scheduleOverrides'], 'readwrite');
+    const store = transaction.objectStore('scheduleOverrides');
+    return new Promise((resolve, reject) => {
+        records.forEach(record => store.put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject('Error saving schedule changes');
+    });
+}
+
+async function getAllScheduleOverrides() {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['scheduleOverrides'], 'readonly');
+    const store = transaction.objectStore('scheduleOverrides');
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject('Error getting schedule changes');
+    });
+}
+
+async function deleteScheduleOverrides(ids) {
+    if (!db) await openDatabase();
+    const transaction = db.transaction(['scheduleOverrides'], 'readwrite');
+    const store = transaction.objectStore('scheduleOverrides');
+    return new Promise((resolve, reject) => {
+        ids.forEach(id => store.delete(id));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject('Error deleting schedule changes');
+    });
+}
+
+// --- Local Dates ---
+// Every stored date key is a 'YYYY-MM-DD' string in the user's local time zone. Always build them with these
+// helpers: toISOString() gives the UTC date, which is a different day for evening (west of UTC) or
+// early-morning (east of UTC) entries.
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Today's date key in local time
+function getTodayString() {
+    return formatDateString(new Date());
+}
+
+// Parses a 'YYYY-MM-DD' string as local midnight
+function parseDateString(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Formats a date as a 'YYYY-MM-DD' string in local time
+function formatDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Moves a 'YYYY-MM-DD' string by a number of days
+function addDaysToDateString(dateStr, days) {
+    const date = parseDateString(dateStr);
+    date.setDate(date.getDate() + days);
+    return formatDateString(date);
+}
+
+// Days between two dates, ignoring time of day (rounded so DST changes don't shift it)
+function daysBetween(from, to) {
+    const start = new Date(from);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(to);
+    end.setHours(0, 0, 0, 0);
+    return Math.round((end - start) / MS_PER_DAY);
+}
+
+// --- Units ---
+// Body weight is always stored in kg, water in litres and food amounts in grams; the 'units' setting
+// ({ weight, water, food }) only changes what is shown and typed. Because nothing is ever saved in the display
+// unit, switching the preference never needs to touch existing records.
+
+const LB_PER_KG = 2.20462;
+
+// perUnit is how many kg / litres / grams one display unit is worth; decimals is the display precision
+const UNIT_OPTIONS = {
+    weight: {
+        kg: { label: 'kg', perUnit: 1, decimals: 1 },
+        lb: { label: 'lb', perUnit: 1 / LB_PER_KG, decimals: 1 }
+    },
+    water: {
+        l: { label: 'L', perUnit: 1, decimals: 1 },
+        floz: { label: 'fl oz', perUnit: 0.0295735, decimals: 0 },
+        cup: { label: 'cups', perUnit: 0.236588, decimals: 1 }
+    },
+    food: {
+        g: { label: 'g', perUnit: 1, decimals: 0 },
+        oz: { label: 'oz', perUnit: 28.3495, decimals: 1 }
+    }
+};
+
+const DEFAULT_UNITS = { weight: 'kg', water: 'l', food: 'g' };
+
+function getUnitLabel(kind, units) {
+    return UNIT_OPTIONS[kind][units[kind]].label;
+}
+
+// Stored metric value -> number in the user's unit, rounded to that unit's precision unless decimals is given
+function fromMetric(kind, value, units, decimals = UNIT_OPTIONS[kind][units[kind]].decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value / UNIT_OPTIONS[kind][units[kind]].perUnit * factor) / factor;
+}
+
+// Number typed in the user's unit -> metric value for storage
+function toMetric(kind, value, units) {
+    return Math.round(value * UNIT_OPTIONS[kind][units[kind]].perUnit * 1000) / 1000;
+}
+
+// e.g. "154.3 lb"
+function formatMeasurement(kind, value, units) {
+    return `${fromMetric(kind, value, units)} ${getUnitLabel(kind, units)}`;
+}
+
+// Recipe amounts in g/kg, as { quantity, unit }, shown in oz/lb for people who weigh food in ounces
+function toDisplayIngredientAmount(ingredient, units) {
+    if (units.food !== 'oz' || ingredient.quantity === null) return { quantity: ingredient.quantity, unit: ingredient.unit };
+    if (ingredient.unit === 'g') return { quantity: fromMetric('food', ingredient.quantity, units), unit: 'oz' };
+    if (ingredient.unit === 'kg') return { quantity: Math.round(ingredient.quantity * LB_PER_KG * 100) / 100, unit: 'lb' };
+    return { quantity: ingredient.quantity, unit: ingredient.unit };
+}
+
+// The reverse: an amount typed in oz/lb becomes grams/kg, anything else is kept as it is
+function toMetricIngredientAmount(quantity, unit) {
+    if (unit === 'oz') return { quantity: quantity === null ? null : Math.round(quantity * UNIT_OPTIONS.food.oz.perUnit * 10) / 10, unit: 'g' };
+    if (unit === 'lb') return { quantity: quantity === null ? null : Math.round(quantity / LB_PER_KG * 1000) / 1000, unit: 'kg' };
+    return { quantity, unit };
+}
+
+// Units offered in the recipe editor: the metric weights are swapped for oz/lb when those are preferred
+function getRecipeUnitOptions(units) {
+    return units.food === 'oz' ? RECIPE_UNITS.map(unit => ({ g: 'oz', kg: 'lb' }[unit] || unit)) : RECIPE_UNITS;
+}
+
+// --- Record Migrations ---
+// Per-record fixes shared by the IndexedDB upgrade (openDatabase) and backup import (migrateBackup).
+
+// Date a session belongs to in local time, worked out from when it started (older versions stored the UTC date)
+function getLocalSessionDate(session) {
+    return session.startedAt ? formatDateString(new Date(session.startedAt)) : session.date;
+}
+
+// Older versions kept one set of macro totals on each dailyData record. Returns the record without them, the
+// quick-add food entry that replaces them (or null), and whether the record changed.
+function splitLegacyMacros(dailyRecord) {
+    const { calories, protein, carbs, fat, ...record } = dailyRecord;
+    const quickAdd = calories || protein || carbs || fat
+        ? {
+            date: record.date,
+            meal: 'snacks',
+            name: 'Quick add',
+            quickAdd: true,
+            calories: calories || 0,
+            protein: protein || 0,
+            carbs: carbs || 0,
+            fat: fat || 0,
+            createdAt: new Date().toISOString()
+        }
+        : null;
+    const changed = calories !== undefined || protein !== undefined || carbs !== undefined || fat !== undefined;
+    return { record, quickAdd, changed };
+}
+
+// --- Workout Plans ---
+
+// Seeds the built-in WORKOUT_PLAN as the default template the first time the app runs.
+async function ensureDefaultPlan() {
+    const plans = await getAllPlans();
+    if (plans.length > 0) return;
+    const id = await savePlan({
+        name: '6-Month Comprehensive Plan',
+        isTemplate: true,
+        weeks: JSON.parse(JSON.stringify(WORKOUT_PLAN))
+    });
+    await saveSetting('activePlanId', id);
+}
+
+async function getActivePlan() {
+    const activePlanId = await getSetting('activePlanId');
+    const plan = activePlanId !== undefined ? await getPlan(activePlanId) : undefined;
+    if (plan) return plan;
+    // Active plan was deleted or never set - fall back to the first available plan
+    const plans = await getAllPlans();
+    return plans[0];
+}
+
+// Returns the week numbers defined in a plan, in order ("Week 10" sorts after "Week 9")
+function getPlanWeekNumbers(plan) {
+    return Object.keys(plan.weeks)
+        .map(key => parseInt(key.replace('Week ', '')))
+        .filter(num => !isNaN(num))
+        .sort((a, b) => a - b);
+}
+
+// Brings a plan saved under an older DB version up to date. Returns true if anything was changed.
+function migrateStoredPlan(plan, oldVersion) {
+    let changed = false;
+    if (oldVersion < 5) {
+        // Plans seeded before v5 copied unquoted ranges (reps: 8-12 evaluated to -4)
+        changed = repairNegativeReps(plan) || changed;
+    }
+    if (oldVersion < 6) {
+        // Plans before v6 faked circuits/complexes with "Circuit:" + "- Exercise" rows
+        changed = convertLegacyGroups(plan) || changed;
+    }
+    return changed;
+}
+
+// Puts back rep ranges that were stored as negative numbers, using the same exercise in WORKOUT_PLAN.
+// Returns true if anything was changed.
+function repairNegativeReps(plan) {
+    let repaired = false;
+    Object.entries(plan.weeks || {}).forEach(([weekKey, weekPlan]) => {
+        Object.entries(weekPlan).forEach(([dayKey, workout]) => {
+            const templateDay = WORKOUT_PLAN[weekKey] && WORKOUT_PLAN[weekKey][dayKey];
+            (workout.exercises || []).forEach(ex => {
+                if (typeof ex.reps !== 'number' || ex.reps >= 0 || !templateDay) return;
+                const templateEx = (templateDay.exercises || []).find(t => t.name === ex.name);
+                if (templateEx) {
+                    ex.reps = templateEx.reps;
+                    repaired = true;
+                }
+            });
+        });
+    });
+    return repaired;
+}
+
+// Older plans faked grouped blocks with a header row ending in ':' followed by "- Exercise (reps)" rows.
+// Rewrites those into { group, rounds, rest, notes, exercises } blocks. Returns true if anything was changed.
+function convertLegacyGroups(plan) {
+    let converted = false;
+    Object.values(plan.weeks || {}).forEach(weekPlan => {
+        Object.values(weekPlan).forEach(workout => {
+            if (!workout.exercises) return;
+            const items = [];
+            workout.exercises.forEach(ex => {
+                const header = !ex.group && String(ex.name || '').match(/^(circuit|superset|complex|emom|amrap)\b\s*(?:\((.*)\))?\s*:$/i);
+                const child = !ex.group && String(ex.name || '').match(/^-\s*(.+?)\s*(?:\(([^)]*)\))?$/);
+                const currentGroup = items.length > 0 && items[items.length - 1].group ? items[items.length - 1] : null;
+                if (header) {
+                    const details = [header[2], ex.reps].filter(Boolean).join('. ');
+                    const notes = details.replace(/\s*-?\s*\d+(?:\s*-\s*\d+)?\s*rounds,?\s*/i, ' ').trim();
+                    const rounds = details.match(/(\d+(?:\s*-\s*\d+)?)\s*rounds/i);
+                    const noRest = /no rest|minimal rest/i.test(details);
+                    items.push({
+                        group: header[1].toLowerCase(),
+                        rounds: rounds ? rounds[1].replace(/\s/g, '') : 1,
+                        rest: { betweenExercises: noRest ? 0 : 30, betweenRounds: 60 },
+                        notes: notes.charAt(0).toUpperCase() + notes.slice(1),
+                        exercises: []
+                    });
+                    converted = true;
+                } else if (child && currentGroup) {
+                    currentGroup.exercises.push({ name: child[1], reps: child[2] || '' });
+                } else {
+                    items.push(ex);
+                }
+            });
+            workout.exercises = items;
+        });
+    });
+    return converted;
+}
+
+// --- Exercise Schema ---
+// Plans are stored the way they're written (sets: 3, reps: "8-12 per arm"). loadPlan() turns every exercise into a
+// structured prescription so the UI never has to guess what a string means:
+//   { type: 'reps', min, max, perSide, unit, extra }   "8-12 per arm", 15, "10-15 steps/side", "8-12 + drop"
+//   { type: 'time', min, max, perSide }                "30-45 sec", "10 min", "30 sec/side" (seconds)
+//   { type: 'amrap' }                                  "AMRAP"
+//   { type: 'intervals', work, rest, effort }          "30s fast / 30s rest" (seconds, repeated for each round)
+//   { type: 'pyramid', reps, note }                    "12,10,8,6 (increasing weight)"
+// Sets become a number plus a setUnit of 'sets' or 'rounds' ("5 rounds"), and an optional tempo is kept alongside.
+//
+// An entry in a day's exercises can also be a grouped block that is worked through together:
+//   { group: 'circuit' | 'superset' | 'complex', rounds: 3 | "3-4", rest: { betweenExercises, betweenRounds }, exercises }
+//   { group: 'emom' | 'amrap', minutes: 12, exercises }
+// Rest is in seconds. Exercises inside a group don't need sets - the group's rounds decide how often they're done.
+
+const GROUP_TYPES = {
+    circuit: 'Circuit',
+    superset: 'Superset',
+    complex: 'Complex',
+    emom: 'EMOM',
+    amrap: 'AMRAP'
+};
+
+const TIME_UNITS = { s: 1, sec: 1, secs: 1, second: 1, seconds: 1, min: 60, mins: 60, minute: 60, minutes: 60 };
+
+function toSeconds(value, unit) {
+    return value * TIME_UNITS[unit.toLowerCase()];
+}
+
+// Parses a reps value into a prescription, or returns null if it can't be understood
+function parsePrescription(reps) {
+    if (typeof reps === 'number') {
+        return Number.isInteger(reps) && reps > 0 ? { type: 'reps', min: reps, max: reps, perSide: null, unit: 'reps', extra: '' } : null;
+    }
+    const text = String(reps ?? '').trim();
+    if (!text) return null;
+
+    if (/^amrap$/i.test(text)) {
+        return { type: 'amrap' };
+    }
+
+    const intervals = text.match(/^(\d+)\s*(s|sec|secs|seconds|min|mins|minutes)\s*([a-z ]*?)\s*\/\s*(\d+)\s*(s|sec|secs|seconds|min|mins|minutes)\s*rest$/i);
+    if (intervals) {
+        return {
+            type: 'intervals',
+            work: toSeconds(parseInt(intervals[1]), intervals[2]),
+            rest: toSeconds(parseInt(intervals[4]), intervals[5]),
+            effort: intervals[3].trim()
+        };
+    }
+
+    const pyramid = text.match(/^(\d+(?:\s*,\s*\d+)+)\s*(?:\((.*)\))?$/);
+    if (pyramid) {
+        return { type: 'pyramid', reps: pyramid[1].split(',').map(n => parseInt(n)), note: pyramid[2] || '' };
+    }
+
+    const time = text.match(/^(\d+)(?:\s*-\s*(\d+))?\s*(s|sec|secs|seconds|min|mins|minutes)\b\s*(?:(?:\/|per)\s*(side|arm|leg))?\s*(.*)$/i);
+    if (time) {
+        const min = toSeconds(parseInt(time[1]), time[3]);
+        const max = time[2] ? toSeconds(parseInt(time[2]), time[3]) : min;
+        return { type: 'time', min, max, perSide: time[4] ? time[4].toLowerCase() : null, extra: time[5] };
+    }
+
+    const repRange = text.match(/^(\d+)(?:\s*-\s*(\d+))?\s*(reps?|steps)?\s*(?:(?:\/|per)\s*(side|arm|leg))?\s*(.*)$/i);
+    if (repRange) {
+        const min = parseInt(repRange[1]);
+        const max = repRange[2] ? parseInt(repRange[2]) : min;
+        if (min <= 0 || max < min) return null;
+        const unit = repRange[3] && repRange[3].toLowerCase() === 'steps' ? 'steps' : 'reps';
+        return { type: 'reps', min, max, perSide: repRange[4] ? repRange[4].toLowerCase() : null, unit, extra: repRange[5] };
+    }
+
+    return null;
+}
+
+// Parses sets, which are usually a number but can be written as "5 rounds"
+function parseSets(sets) {
+    if (typeof sets === 'number') {
+        return Number.isInteger(sets) && sets > 0 ? { count: sets, unit: 'sets' } : null;
+    }
+    const match = String(sets ?? '').trim().match(/^(\d+)\s*(sets?|rounds?)?$/i);
+    if (!match || parseInt(match[1]) <= 0) return null;
+    return { count: parseInt(match[1]), unit: match[2] && /^round/i.test(match[2]) ? 'rounds' : 'sets' };
+}
+
+// Parses a group's rounds, e.g. 3 or "3-4"
+function parseRounds(rounds) {
+    const match = String(rounds ?? '').trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+    const min = parseInt(match[1]);
+    const max = match[2] ? parseInt(match[2]) : min;
+    return min > 0 && max >= min ? { min, max } : null;
+}
+
+// Normalizes one exercise. Returns { exercise, problems } where problems lists anything malformed.
+// Exercises inside a group may leave out sets (inGroup).
+function normalizeExercise(raw, inGroup = false) {
+    const problems = [];
+    const name = String(raw.name ?? '').trim();
+    if (!name) problems.push('has no name');
+
+    const sets = parseSets(raw.sets);
+    if (raw.sets === undefined || raw.sets === '') {
+        if (!inGroup) problems.push('has no sets');
+    } else if (!sets) {
+        problems.push(`has invalid sets "${raw.sets}"`);
+    }
+
+    const prescription = parsePrescription(raw.reps);
+    if (raw.reps === undefined) {
+        problems.push('has no reps or duration');
+    } else if (typeof raw.reps === 'number' && raw.reps < 0) {
+        problems.push(`has negative reps (${raw.reps}) - a range like 8-12 must be written in quotes`);
+    } else if (!prescription) {
+        problems.push(`has reps that can't be understood: "${raw.reps}"`);
+    }
+
+    // Tempo can be given explicitly or written into the name, e.g. "Goblet Squat (Tempo: 3s down, 1s up)"
+    const tempoInName = name.match(/tempo:\s*([^)]+)/i);
+    const tempo = raw.tempo || (tempoInName ? tempoInName[1].trim() : null);
+
+    return {
+        exercise: {
+            name,
+            notes: raw.notes || '',
+            sets: sets ? sets.count : null,
+            setUnit: sets ? sets.unit : 'sets',
+            prescription: prescription || { type: 'text', text: String(raw.reps ?? '') },
+            tempo
+        },
+        problems
+    };
+}
+
+// Normalizes a grouped block. Returns { group, problems } in the same way as normalizeExercise().
+function normalizeGroup(raw) {
+    const problems = [];
+    const type = String(raw.group).toLowerCase();
+    if (!GROUP_TYPES[type]) problems.push(`has unknown group type "${raw.group}"`);
+
+    const timed = type === 'emom' || type === 'amrap';
+    const rounds = timed ? null : parseRounds(raw.rounds);
+    const minutes = timed ? parseInt(raw.minutes) : null;
+    if (!timed && !rounds) problems.push(`has invalid rounds "${raw.rounds ?? ''}"`);
+    if (timed && !(minutes > 0)) problems.push(`needs a time cap in minutes`);
+
+    const rest = raw.rest || {};
+    const exercises = (raw.exercises || []).map((child, i) => {
+        const { exercise, problems: childProblems } = normalizeExercise(child, true);
+        childProblems.forEach(message => problems.push(`exercise ${i + 1}${exercise.name ? ` (${exercise.name})` : ''} ${message}`));
+        return exercise;
+    });
+    if (exercises.length === 0) problems.push('has no exercises');
+
+    return {
+        group: {
+            group: type,
+            name: raw.name || GROUP_TYPES[type] || 'Group',
+            rounds,
+            minutes,
+            rest: {
+                betweenExercises: parseInt(rest.betweenExercises) || 0,
+                betweenRounds: parseInt(rest.betweenRounds) || 0
+            },
+            notes: raw.notes || '',
+            exercises
+        },
+        problems
+    };
+}
+
+// Returns a normalized copy of a plan plus a list of malformed entries ({ location, message }).
+function loadPlan(plan) {
+    const errors = [];
+    const weeks = {};
+    getPlanWeekNumbers(plan).forEach(weekNum => {
+        const weekKey = `Week ${weekNum}`;
+        weeks[weekKey] = {};
+        Object.entries(plan.weeks[weekKey]).forEach(([dayKey, workout]) => {
+            if (!/^Day [1-7]$/.test(dayKey)) {
+                errors.push({ location: `${weekKey}, ${dayKey}`, message: 'is not a valid day (use Day 1 to Day 7)' });
+                return;
+            }
+            if (!workout.type) {
+                errors.push({ location: `${weekKey}, ${dayKey}`, message: 'has no workout type' });
+            }
+            const exercises = (workout.exercises || []).map((raw, i) => {
+                if (raw.group) {
+                    const { group, problems } = normalizeGroup(raw);
+                    problems.forEach(message => errors.push({ location: `${weekKey}, ${dayKey}, block ${i + 1} (${group.name})`, message }));
+                    return group;
+                }
+                const { exercise, problems } = normalizeExercise(raw);
+                problems.forEach(message => errors.push({
+                    location: `${weekKey}, ${dayKey}, exercise ${i + 1}${exercise.name ? ` (${exercise.name})` : ''}`,
+                    message
+                }));
+                return exercise;
+            });
+            weeks[weekKey][dayKey] = { ...workout, exercises };
+        });
+    });
+    return { plan: { ...plan, weeks }, errors };
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds} sec`;
+    const minutes = Math.floor(seconds / 60);
+    const remainder = seconds % 60;
+    return remainder ? `${minutes} min ${remainder} sec` : `${minutes} min`;
+}
+
+function formatDurationRange(min, max) {
+    if (min === max) return formatDuration(min);
+    // Keep both ends in one unit: "45-60 sec" rather than "45 sec-1 min"
+    return min >= 60 && min % 60 === 0 && max % 60 === 0 ? `${min / 60}-${max / 60} min` : `${min}-${max} sec`;
+}
+
+// Human-readable prescription, e.g. "3 sets x 8-12 reps per arm" or "5 rounds: 30 sec fast / 30 sec rest"
+function formatPrescription(exercise) {
+    const p = exercise.prescription;
+    const singleSet = exercise.sets === 1 && exercise.setUnit === 'sets';
+    const count = exercise.sets ? `${exercise.sets} ${singleSet ? 'set' : exercise.setUnit}` : '';
+    const perSide = p.perSide ? ` per ${p.perSide}` : '';
+    let text;
+    switch (p.type) {
+        case 'reps': {
+            const range = p.min === p.max ? `${p.min}` : `${p.min}-${p.max}`;
+            text = `${count} x ${range} ${p.unit}${perSide}${p.extra ? ` ${p.extra}` : ''}`;
+            break;
+        }
+        case 'time': {
+            // A single timed block reads better without the "1 set x" prefix
+            text = `${singleSet ? '' : count} x ${formatDurationRange(p.min, p.max)}${perSide}${p.extra ? ` ${p.extra}` : ''}`;
+            break;
+        }
+        case 'amrap':
+            text = `${count} x AMRAP`;
+            break;
+        case 'intervals':
+            text = `${count}: ${formatDuration(p.work)}${p.effort ? ` ${p.effort}` : ''} / ${formatDuration(p.rest)} rest`;
+            break;
+        case 'pyramid':
+            text = `${count}: ${p.reps.join(', ')} reps${p.note ? ` (${p.note})` : ''}`;
+            break;
+        default:
+            text = [singleSet ? '' : count, p.text].filter(Boolean).join(' x ');
+    }
+    if (exercise.tempo) text += `, tempo ${exercise.tempo}`;
+    return text.replace(/^ x /, '').trim();
+}
+
+// "Circuit: Conditioning Circuit", or just "Circuit" when the block has no name of its own
+function getGroupLabel(group) {
+    const typeLabel = GROUP_TYPES[group.group] || group.group;
+    return !group.name || group.name === typeLabel ? typeLabel : `${typeLabel}: ${group.name}`;
+}
+
+// Summary line for a grouped block, e.g. "3-4 rounds, no rest between exercises, 1 min between rounds"
+function formatGroup(group) {
+    const parts = [];
+    if (group.minutes) {
+        parts.push(group.group === 'emom' ? `every minute for ${group.minutes} min` : `as many rounds as possible in ${group.minutes} min`);
+    } else if (group.rounds) {
+        const { min, max } = group.rounds;
+        parts.push(min === max ? `${min} round${min === 1 ? '' : 's'}` : `${min}-${max} rounds`);
+    }
+    if (!group.minutes) {
+        parts.push(group.rest.betweenExercises ? `${formatDuration(group.rest.betweenExercises)} between exercises` : 'no rest between exercises');
+    }
+    if (group.rest.betweenRounds) {
+        parts.push(`${formatDuration(group.rest.betweenRounds)} between rounds`);
+    }
+    return parts.join(', ');
+}
+
+// --- Program Enrollment ---
+// An enrollment is one run through a plan: { planId, startDate, status: 'active' | 'paused' | 'ended',
+// pausedAt, pausedDays, pauses, endedAt, endReason }. Only one run per plan is open (not ended) at a time.
+// pauses lists each pause as { from, to } dates (to is null while paused); pausedDays is their total length.
+
+// The start date that used to be hard-coded, kept so existing installs stay on the same week after upgrading
+const LEGACY_PROGRAM_START_DATE = '2025-07-07';
+
+// Enrolls the default template with the old hard-coded start date if no program has ever been started.
+async function ensureDefaultEnrollment() {
+    const enrollments = await getAllEnrollments();
+    if (enrollments.length > 0) return;
+    const plans = await getAllPlans();
+    const template = plans.find(p => p.isTemplate);
+    if (!template) return;
+    await saveEnrollment({
+        planId: template.id,
+        startDate: LEGACY_PROGRAM_START_DATE,
+        status: 'active',
+        pausedAt: null,
+        pausedDays: 0,
+        pauses: [],
+        createdAt: new Date().toISOString()
+    });
+}
+
+async function getCurrentEnrollment(planId) {
+    const enrollments = await getEnrollmentsByPlan(planId);
+    return enrollments.find(e => e.status !== 'ended');
+}
+
+// Number of weeks in a plan, taken from its highest "Week N" entry
+function getPlanLength(plan) {
+    const weekNumbers = getPlanWeekNumbers(plan);
+    return weekNumbers.length > 0 ? weekNumbers[weekNumbers.length - 1] : 0;
+}
+
+// Runs paused before pauses were recorded only have pausedAt for the pause that's still going
+function getEnrollmentPauses(enrollment) {
+    if (enrollment.pauses) return enrollment.pauses;
+    return enrollment.status === 'paused' && enrollment.pausedAt ? [{ from: formatDateString(new Date(enrollment.pausedAt)), to: null }] : [];
+}
+
+// How many days a date is pushed back by the pauses that ended on or before it, and the pause it falls inside
+// (after the day it began), if any
+function getPauseOffset(enrollment, date) {
+    const pauses = getEnrollmentPauses(enrollment);
+    const pauseLength = pause => daysBetween(parseDateString(pause.from), parseDateString(pause.to));
+    const ended = pauses.filter(pause => pause.to);
+    // Time paused before pauses were recorded is only known as a total, so it still applies to every day
+    const unrecorded = (enrollment.pausedDays || 0) - ended.reduce((sum, pause) => sum + pauseLength(pause), 0);
+    return {
+        days: unrecorded + ended.filter(pause => pause.to <= date).reduce((sum, pause) => sum + pauseLength(pause), 0),
+        within: pauses.find(pause => date > pause.from && (!pause.to || date < pause.to))
+    };
+}
+
+// The enrollment fields that end a pause today, for resuming or ending a paused run
+function endPause(enrollment) {
+    if (enrollment.status !== 'paused') return {};
+    const today = getTodayString();
+    return {
+        pausedAt: null,
+        pausedDays: (enrollment.pausedDays || 0) + daysBetween(new Date(enrollment.pausedAt), new Date()),
+        pauses: getEnrollmentPauses(enrollment).map(pause => (pause.to ? pause : { ...pause, to: today }))
+    };
+}
+
+// Works out which week/day of the plan a date (today by default) is, from the enrollment's start date minus the
+// pauses before it, after any schedule overrides. A date left empty by a reschedule is unplanned, with the week/day
+// of the workout the program is waiting on.
+function getWeekAndDay(enrollment, planLength, onDate = new Date(), overrides = []) {
+    if (!enrollment) {
+        return { week: 0, day: 0, message: 'No start date set for this plan yet. Pick one in Settings.' };
+    }
+
+    // While paused the program stays frozen on the day it was paused
+    const pausedAt = enrollment.status === 'paused' && enrollment.pausedAt ? new Date(enrollment.pausedAt) : null;
+    const referenceDate = pausedAt && pausedAt < onDate ? pausedAt : onDate;
+    const { index: diffDays, planned } = getScheduledDayIndex(enrollment, resolveScheduleOverrides(enrollment, overrides), formatDateString(referenceDate));
+
+    if (diffDays < 0) {
+        return { week: 0, day: 0, message: "Program hasn't started yet!" };
+    }
+
+    const week = Math.floor(diffDays / 7) + 1; // +1 because week 0 is not a thing
+    const day = (diffDays % 7) + 1;
+
+    if (week > planLength) {
+        return { week, day, completed: true, message: 'Program completed! Restart it or pick a new plan in Settings.' };
+    }
+    if (!planned) {
+        return { week, day, unplanned: true, message: 'Nothing planned today - your schedule was changed. See the Schedule tab.' };
+    }
+    return { week, day, paused: enrollment.status === 'paused' };
+}
+
+// Everything the Today and Schedule views need to know about where the user is in their active plan
+async function getProgramState() {
+    const plan = await getActivePlan();
+    if (!plan) {
+        return { week: 0, day: 0, message: 'No workout plan yet. Create one in the Plans tab.' };
+    }
+    const enrollment = await getCurrentEnrollment(plan.id);
+    const planLength = getPlanLength(plan);
+    const overrides = await getAllScheduleOverrides();
+    const { plan: loadedPlan, errors: planErrors } = loadPlan(plan);
+    return { plan: applyDeloadWeeks(loadedPlan, enrollment), planErrors, enrollment, planLength, overrides, ...getWeekAndDay(enrollment, planLength, new Date(), overrides) };
+}
+
+// The active plan's workout on a date as { week, day, workout } (workout is normalized by loadPlan, and undefined
+// if the plan has nothing that day), or null if the date isn't inside a running program
+async function getPlannedWorkout(date) {
+    const plan = await getActivePlan();
+    if (!plan) return null;
+    const enrollment = await getCurrentEnrollment(plan.id);
+    const { week, day, unplanned, message } = getWeekAndDay(enrollment, getPlanLength(plan), parseDateString(date), await getAllScheduleOverrides());
+    if (unplanned) return { week, day, workout: undefined };
+    if (message) return null;
+    const loadedPlan = applyDeloadWeeks(loadPlan(plan).plan, enrollment);
+    return { week, day, workout: (loadedPlan.weeks[`Week ${week}`] || {})[`Day ${day}`] };
+}
+
+// --- Rescheduling ---
+// Schedule overrides change which plan day falls on which date, without touching the plan or the enrollment:
+//   { type: 'pin', enrollmentId, date, week, day, createdAt } - do Week/Day on this date (week and day null = nothing that day)
+//   { type: 'shift', enrollmentId, date, days, createdAt }    - from this date on, the rest of the program runs `days` later
+// A move or swap saves two pins. Each override belongs to the run it was made in.
+
+// Overrides saved before they recorded their run are taken to belong to every run started before them
+function isEnrollmentOverride(enrollment, override) {
+    return override.enrollmentId !== undefined ? override.enrollmentId === enrollment.id : override.createdAt >= enrollment.createdAt;
+}
+
+// Pins (by the date they end up on) and shifts (by date) that apply to an enrollment's run. A pin made before a
+// shift moves along with it, so shifting the rest of the program carries earlier moves with it.
+function resolveScheduleOverrides(enrollment, overrides) {
+    const relevant = overrides.filter(o => o.date >= enrollment.startDate && isEnrollmentOverride(enrollment, o));
+    const shifts = relevant.filter(o => o.type === 'shift').sort((a, b) => a.date.localeCompare(b.date));
+    const pins = new Map();
+    relevant.filter(o => o.type === 'pin').sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(pin => {
+        const shiftedBy = shifts.filter(s => s.date <= pin.date && s.createdAt > pin.createdAt).reduce((sum, s) => sum + s.days, 0);
+        const date = addDaysToDateString(pin.date, shiftedBy);
+        pins.set(date, { ...pin, date }); // The latest pin on a date wins
+    });
+    return { pins, shifts };
+}
+
+// The plan day (as days since Week 1, Day 1) scheduled on a date: { index, planned }. planned is false when a
+// workout was moved away from the date, a shift left it empty or the run was paused; index is then the day the
+// program resumes with.
+function getScheduledDayIndex(enrollment, { pins, shifts }, date) {
+    const start = parseDateString(enrollment.startDate);
+    // Days inside a pause stay on the day the pause began
+    const unshiftedIndex = d => {
+        const { within } = getPauseOffset(enrollment, d);
+        const day = within ? within.from : d;
+        return daysBetween(start, parseDateString(day)) - getPauseOffset(enrollment, day).days;
+    };
+    let shifted = 0;
+    let planned = !getPauseOffset(enrollment, date).within;
+    let index = unshiftedIndex(date);
+    shifts.filter(shift => shift.date <= date).forEach(shift => {
+        const resumeIndex = unshiftedIndex(shift.date) - shifted;
+        shifted += shift.days;
+        index = unshiftedIndex(date) - shifted;
+        if (index < resumeIndex) {
+            index = resumeIndex;
+            planned = false;
+        }
+    });
+    const pin = pins.get(date);
+    if (pin && pin.week !== null) return { index: (pin.week - 1) * 7 + pin.day - 1, planned: true };
+    return { index, planned: planned && !pin };
+}
+
+// Date of every plan day in an enrollment's run after overrides, as { 'Week N|Day N': 'YYYY-MM-DD' }. A plan day
+// that was replaced by a move onto its date has no date.
+function getProgramDates(enrollment, planLength, overrides) {
+    const resolved = resolveScheduleOverrides(enrollment, overrides);
+    const lastPinned = [...resolved.pins.keys()].sort().pop() || enrollment.startDate;
+    const shiftedDays = resolved.shifts.reduce((sum, shift) => sum + shift.days, 0);
+    const scheduledEnd = addDaysToDateString(enrollment.startDate, planLength * 7 + (enrollment.pausedDays || 0) + shiftedDays);
+    const lastDate = lastPinned > scheduledEnd ? lastPinned : scheduledEnd;
+
+    const dates = {};
+    for (let date = enrollment.startDate; date <= lastDate; date = addDaysToDateString(date, 1)) {
+        const { index, planned } = getScheduledDayIndex(enrollment, resolved, date);
+        if (!planned || index < 0 || index >= planLength * 7) continue;
+        const key = `Week ${Math.floor(index / 7) + 1}|Day ${(index % 7) + 1}`;
+        if (!dates[key]) dates[key] = date;
+    }
+    return dates;
+}
+
+// The records that move the plan day on one date to another. Whatever was planned on `to` (a workout or a rest
+// day) takes its place, so a move onto a planned day is a swap.
+function buildMoveOverrides(enrollment, planLength, overrides, from, to) {
+    const resolved = resolveScheduleOverrides(enrollment, overrides);
+    const slotOn = date => {
+        const { index, planned } = getScheduledDayIndex(enrollment, resolved, date);
+        return planned && index >= 0 && index < planLength * 7 ? { week: Math.floor(index / 7) + 1, day: (index % 7) + 1 } : { week: null, day: null };
+    };
+    const createdAt = new Date().toISOString();
+    return [
+        { type: 'pin', enrollmentId: enrollment.id, date: to, ...slotOn(from), createdAt },
+        { type: 'pin', enrollmentId: enrollment.id, date: from, ...slotOn(to), createdAt }
+    ];
+}
+
+// --- Food Diary ---
+// A food entry is { date, meal, name, calories, protein, carbs, fat, createdAt }. Entries with quickAdd: true
+// hold the single daily totals that older versions stored on dailyData; entries logged from a recipe also
+// keep recipeName and servings.
+
+const MEAL_SLOTS = [
+    { key: 'breakfast', label: 'Breakfast' },
+    { key: 'lunch', label: 'Lunch' },
+    { key: 'dinner', label: 'Dinner' },
+    { key: 'snacks', label: 'Snacks' }
+];
+
+// Adds up the macros of a list of food entries
+function sumFoodEntries(entries) {
+    return entries.reduce((totals, entry) => ({
+        calories: totals.calories + (entry.calories || 0),
+        protein: totals.protein + (entry.protein || 0),
+        carbs: totals.carbs + (entry.carbs || 0),
+        fat: totals.fat + (entry.fat || 0)
+    }), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+}
+
+// Picks the meal slot a food logged at the given time most likely belongs to
+function getMealForTime(date) {
+    const hour = date.getHours();
+    if (hour < 11) return 'breakfast';
+    if (hour < 15) return 'lunch';
+    if (hour >= 17 && hour < 22) return 'dinner';
+    return 'snacks';
+}
+
+// Food entry for eating a number of servings of a recipe, given its macros per serving (see calculateRecipeMacros)
+function scaleRecipe(recipe, perServing, servings) {
+    const round = value => Math.round(value * servings * 10) / 10;
+    return {
+        name: recipe.name,
+        recipeName: recipe.name,
+        servings,
+        calories: Math.round(perServing.calories * servings),
+        protein: round(perServing.protein),
+        carbs: round(perServing.carbs),
+        fat: round(perServing.fat)
+    };
+}
+
+// --- Recipes ---
+// A recipe is { name, servings, tags, ingredients, instructions, createdAt }. Each ingredient is
+// { quantity, unit, food, note } where food is a FOOD_TABLE key (or null if it isn't in the table, in which case
+// text keeps the original line). Macros are never stored; they're worked out from FOOD_TABLE when needed.
+
+const RECIPE_UNITS = ['g', 'kg', 'ml', 'l', 'cup', 'tbsp', 'tsp', 'piece', 'clove', 'stalk', 'slice', 'can', 'scoop'];
+
+const UNIT_ALIASES = {
+    g: 'g', gram: 'g', grams: 'g', kg: 'kg', ml: 'ml', l: 'l', litre: 'l', liter: 'l',
+    cup: 'cup', cups: 'cup', tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp', tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+    piece: 'piece', pieces: 'piece', clove: 'clove', cloves: 'clove', stalk: 'stalk', stalks: 'stalk',
+    slice: 'slice', slices: 'slice', can: 'can', cans: 'can', scoop: 'scoop', scoops: 'scoop',
+    oz: 'oz', ounce: 'oz', ounces: 'oz', lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb' // Converted to g/kg on parse
+};
+
+// Seeds the built-in RECIPES into the library the first time the app runs. A setting remembers that it
+// happened, so deleting every recipe doesn't bring the samples back.
+async function ensureDefaultRecipes() {
+    if (await getSetting('recipesSeeded', false)) return;
+    const existing = await getAllRecipes();
+    if (existing.length === 0) {
+        for (const recipe of RECIPES) {
+            await saveRecipe({
+                name: recipe.name,
+                servings: recipe.servings,
+                tags: recipe.tags || [],
+                ingredients: recipe.ingredients.map(parseIngredientText),
+                instructions: recipe.instructions,
+                createdAt: new Date().toISOString()
+            });
+        }
+    }
+    await saveSetting('recipesSeeded', true);
+}
+
+// Finds the FOOD_TABLE entry named in a piece of text, preferring the longest matching name
+function findFood(text) {
+    const lower = text.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+    Object.entries(FOOD_TABLE).forEach(([key, food]) => {
+        [food.name, ...(food.aliases || [])].forEach(name => {
+            if (name.length > bestLength && lower.includes(name.toLowerCase())) {
+                best = key;
+                bestLength = name.length;
+            }
+        });
+    });
+    return best;
+}
+
+// Parses a free-text line like "150g chicken breast, sliced" or "1 can (400g) diced tomatoes" into
+// { quantity, unit, food, note, text }. Anything that can't be read is kept in text with food set to null.
+function parseIngredientText(text) {
+    const line = String(text).trim();
+    const match = line.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)\s*([a-zA-Z]+\b)?\s*(?:\((\d+(?:\.\d+)?)\s*(g|ml)\))?\s*(.*)$/);
+    let quantity = null;
+    let unit = null;
+    let rest = line;
+    if (match) {
+        quantity = match[1].split(/\s+/).reduce((sum, part) => {
+            const [num, den] = part.split('/').map(Number);
+            return sum + (den ? num / den : num);
+        }, 0);
+        const word = match[2] ? match[2].toLowerCase() : '';
+        if (UNIT_ALIASES[word]) {
+            unit = UNIT_ALIASES[word];
+            rest = match[5];
+        } else {
+            unit = 'piece';
+            rest = `${match[2] || ''} ${match[5]}`.trim();
+        }
+        // "1 can (400g)" - the size in brackets is more useful than the container
+        if (match[3]) {
+            quantity = quantity * parseFloat(match[3]);
+            unit = match[4];
+        }
+    }
+    // Split off preparation notes, ignoring commas inside brackets like "(broccoli, peppers)"
+    const [foodText, ...noteParts] = rest.split(/,(?![^(]*\))/);
+    const food = findFood(foodText);
+    const optional = /\(optional\)/i.test(line);
+    const note = food
+        ? [...noteParts.map(n => n.replace(/\(optional\)/i, '').trim()), optional ? 'optional' : ''].filter(Boolean).join(', ')
+        : '';
+    const amount = food && quantity !== null ? toMetricIngredientAmount(quantity, unit) : { quantity: null, unit: null };
+    return {
+        quantity: amount.quantity !== null ? Math.round(amount.quantity * 100) / 100 : null,
+        unit: amount.unit,
+        food: food,
+        note,
+        text: line
+    };
+}
+
+// Weight in grams of an ingredient, or null if its amount can't be converted
+function getIngredientGrams(ingredient) {
+    const food = FOOD_TABLE[ingredient.food];
+    if (!food || !(ingredient.quantity > 0)) return null;
+    switch (ingredient.unit) {
+        case 'g':
+        case 'ml': // Close enough for the watery foods measured in ml
+            return ingredient.quantity;
+        case 'kg':
+        case 'l':
+            return ingredient.quantity * 1000;
+        default: {
+            const gramsPerUnit = food.grams && food.grams[ingredient.unit];
+            return gramsPerUnit ? ingredient.quantity * gramsPerUnit : null;
+        }
+    }
+}
+
+// Totals and per-serving macros of a recipe, plus the ingredient lines that couldn't be counted
+function calculateRecipeMacros(recipe) {
+    const total = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    const uncounted = [];
+    (recipe.ingredients || []).forEach(ingredient => {
+        const grams = getIngredientGrams(ingredient);
+        if (grams === null) {
+            uncounted.push(ingredient.text || FOOD_TABLE[ingredient.food]?.name || 'Unnamed ingredient');
+            return;
+        }
+        const per100g = FOOD_TABLE[ingredient.food];
+        Object.keys(total).forEach(key => { total[key] += per100g[key] * grams / 100; });
+    });
+    const servings = recipe.servings > 0 ? recipe.servings : 1;
+    const round = value => Math.round(value * 10) / 10;
+    return {
+        total: { calories: Math.round(total.calories), protein: round(total.protein), carbs: round(total.carbs), fat: round(total.fat) },
+        perServing: {
+            calories: Math.round(total.calories / servings),
+            protein: round(total.protein / servings),
+            carbs: round(total.carbs / servings),
+            fat: round(total.fat / servings)
+        },
+        uncounted
+    };
+}
+
+// Display text for a structured ingredient, e.g. "150 g Chicken breast (sliced)" (or "5.3 oz ..." in ounces)
+function formatIngredient(ingredient, units = DEFAULT_UNITS) {
+    const food = FOOD_TABLE[ingredient.food];
+    if (!food) return ingredient.text || '';
+    const { quantity, unit } = toDisplayIngredientAmount(ingredient, units);
+    const amount = quantity ? `${quantity} ${unit} ` : '';
+    return `${amount}${food.name}${ingredient.note ? ` (${ingredient.note})` : ''}`;
+}
+
+// Recipes with at least this much protein per serving count as high protein
+const HIGH_PROTEIN_GRAMS = 25;
+
+// Matches a search against a recipe's name, tags and ingredients (case-insensitive)
+function recipeMatchesQuery(recipe, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+    const haystack = [
+        recipe.name,
+        ...recipe.tags,
+        ...recipe.ingredients.map(ing => `${ing.text || ''} ${FOOD_TABLE[ing.food]?.name || ''}`)
+    ].join(' ').toLowerCase();
+    return haystack.includes(needle);
+}
+
+// How badly a serving misses the macros left for the day: the gap left over plus double weight for going over,
+// each as a share of the day's target. Lower is a better fit.
+function scoreRecipeFit(perServing, remaining, targets) {
+    return ['calories', 'protein', 'carbs', 'fat'].reduce((score, key) => {
+        if (!(targets[key] > 0)) return score;
+        const left = Math.max(remaining[key], 0);
+        const diff = left - perServing[key];
+        return score + (diff >= 0 ? diff : -diff * 2) / targets[key];
+    }, 0);
+}
+
+// --- Nutrition Targets ---
+
+// Saved under the 'targets' setting as { calories, protein, carbs, fat, water, steps, restDay } where restDay
+// holds optional overrides for rest days (or null to use the same targets every day).
+
+const DEFAULT_TARGETS = { calories: 2200, protein: 150, carbs: 220, fat: 70, water: 3, steps: 10000 };
+
+// isLimit marks targets you shouldn't go over (as opposed to ones you should at least reach)
+const TARGET_FIELDS = [
+    { key: 'calories', label: 'Calories', unit: 'kcal', isLimit: true },
+    { key: 'protein', label: 'Protein', unit: 'g' },
+    { key: 'carbs', label: 'Carbs', unit: 'g', isLimit: true },
+    { key: 'fat', label: 'Fat', unit: 'g', isLimit: true },
+    { key: 'water', label: 'Water', unit: 'L', unitKind: 'water' }, // unit is replaced by the water preference
+    { key: 'steps', label: 'Steps', unit: '' }
+];
+
+// Planned workout types that count as a rest day
+const REST_DAY_PATTERN = /^rest\b|recovery|mobility|stretching/i;
+
+// Whether the active plan has a rest day on the given date. Outside a running program there's no schedule,
+// so every day counts as a training day.
+async function isRestDay(date) {
+    const planned = await getPlannedWorkout(date);
+    if (!planned) return false;
+    const { workout } = planned;
+    return !workout || !workout.type || REST_DAY_PATTERN.test(workout.type);
+}
+
+// The user's daily targets, falling back to DEFAULT_TARGETS for anything not set. Given a date, rest-day
+// targets replace the usual ones if that date is a rest day.
+async function getTargets(date) {
+    const { restDay, ...saved } = await getSetting('targets', {});
+    const targets = { ...DEFAULT_TARGETS, ...saved };
+    if (date && restDay && await isRestDay(date)) {
+        return { ...targets, ...restDay };
+    }
+    return targets;
+}
+
+// --- Energy Expenditure ---
+// TDEE (total daily energy expenditure) starts from the Mifflin-St Jeor formula and is refined from logged intake
+// against the weight trend once there's enough data.
+
+const ACTIVITY_LEVELS = [
+    { key: 'sedentary', label: 'Sedentary (little or no exercise)', multiplier: 1.2 },
+    { key: 'light', label: 'Light (exercise 1-3 days a week)', multiplier: 1.375 },
+    { key: 'moderate', label: 'Moderate (exercise 3-5 days a week)', multiplier: 1.55 },
+    { key: 'active', label: 'Very active (exercise 6-7 days a week)', multiplier: 1.725 },
+    { key: 'extra', label: 'Extra active (physical job plus training)', multiplier: 1.9 }
+];
+
+const TDEE_GOALS = {
+    cut: { label: 'Cut', calorieFactor: 0.8, proteinPerKg: 2.2 },
+    maintain: { label: 'Maintain', calorieFactor: 1, proteinPerKg: 1.8 },
+    leanGain: { label: 'Lean gain', calorieFactor: 1.1, proteinPerKg: 2 }
+};
+
+const KCAL_PER_KG = 7700; // Roughly the energy in a kilogram of body weight change
+const FAT_GRAMS_PER_KG = 0.8;
+const ADAPTIVE_WINDOW_DAYS = 28;
+const MIN_ADAPTIVE_LOGGED_DAYS = 10; // Fewer logged days than this is too noisy to trust
+const MIN_ADAPTIVE_WEIGHT_SPAN_DAYS = 14;
+
+// Formula estimate from { weight (kg), height (cm), age, sex: 'male' | 'female', activity (ACTIVITY_LEVELS key) }
+function estimateFormulaTdee({ weight, height, age, sex, activity }) {
+    const bmr = 10 * weight + 6.25 * height - 5 * age + (sex === 'female' ? -161 : 5);
+    const level = ACTIVITY_LEVELS.find(l => l.key === activity) || ACTIVITY_LEVELS[0];
+    return Math.round(bmr * level.multiplier);
+}
+
+// Estimate from what was actually eaten versus how weight moved over the `days` days up to endDate:
+// TDEE = average intake - daily weight change * KCAL_PER_KG. Only days with food entries count as logged, so
+// days with half-logged food will pull the estimate down. Returns null if there isn't enough data.
+function estimateAdaptiveTdee(weights, foodEntries, endDate, days = ADAPTIVE_WINDOW_DAYS) {
+    const startDate = addDaysToDateString(endDate, -(days - 1));
+    const inWindow = date => date >= startDate && date <= endDate;
+
+    const intakeByDate = {};
+    foodEntries.filter(entry => inWindow(entry.date)).forEach(entry => {
+        intakeByDate[entry.date] = (intakeByDate[entry.date] || 0) + (entry.calories || 0);
+    });
+    const loggedDays = Object.keys(intakeByDate).length;
+    if (loggedDays < MIN_ADAPTIVE_LOGGED_DAYS) return null;
+
+    const start = parseDateString(startDate);
+    const points = weights.filter(w => inWindow(w.date)).map(w => ({ x: daysBetween(start, parseDateString(w.date)), y: w.weight }));
+    if (points.length < 2) return null;
+    const span = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+    if (span < MIN_ADAPTIVE_WEIGHT_SPAN_DAYS) return null;
+
+    const avgIntake = Object.values(intakeByDate).reduce((sum, kcal) => sum + kcal, 0) / loggedDays;
+    const { slope } = linearRegression(points);
+    return {
+        tdee: Math.round(avgIntake - slope * KCAL_PER_KG),
+        avgIntake: Math.round(avgIntake),
+        ratePerWeek: slope * 7,
+        loggedDays
+    };
+}
+
+// Leans on the adaptive estimate more the more days of the window were logged
+function blendTdee(formulaTdee, adaptive, days = ADAPTIVE_WINDOW_DAYS) {
+    if (!adaptive) return formulaTdee;
+    const weight = Math.min(adaptive.loggedDays / days, 1);
+    return Math.round(formulaTdee * (1 - weight) + adaptive.tdee * weight);
+}
+
+// Calorie and macro targets for a goal: protein and fat scale with body weight, carbs fill the remaining calories
+function proposeTargets(tdee, weight, goalKey) {
+    const goal = TDEE_GOALS[goalKey] || TDEE_GOALS.maintain;
+    const calories = Math.round(tdee * goal.calorieFactor / 10) * 10;
+    const protein = Math.round(weight * goal.proteinPerKg);
+    const fat = Math.round(weight * FAT_GRAMS_PER_KG);
+    const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+    return { calories, protein, carbs, fat };
+}
+
+// --- Workout Timer Sequence ---
+// Turns a normalized workout into a list of timer phases: { label, kind: 'work' | 'rest', duration, detail }.
+// duration is in seconds, or null for rep-based work that finishes when the user taps "Done".
+// Ranges aim for the top end (45-60 sec -> 60 sec, 3-4 rounds -> 4 rounds); Skip moves on early.
+
+function buildTimerSequence(workout, restSeconds) {
+    const phases = [];
+    const work = (label, duration, detail = '') => phases.push({ label, kind: 'work', duration, detail });
+    // isDefault marks rests that come from the user's rest setting rather than from the plan itself
+    const rest = (duration, detail = '', isDefault = false) => {
+        if (duration > 0) phases.push({ label: 'Rest', kind: 'rest', duration, detail, isDefault });
+    };
+
+    (workout.exercises || []).forEach((item, itemIndex) => {
+        if (itemIndex > 0) rest(restSeconds, `Up next: ${item.group ? getGroupLabel(item) : item.name}`, true);
+
+        if (item.group === 'amrap') {
+            work(`${getGroupLabel(item)}`, item.minutes * 60, item.exercises.map(ex => `${ex.name}: ${formatPrescription(ex)}`).join(', '));
+        } else if (item.group === 'emom') {
+            for (let minute = 1; minute <= item.minutes; minute++) {
+                const ex = item.exercises[(minute - 1) % item.exercises.length];
+                work(`${ex.name} (minute ${minute}/${item.minutes})`, 60, `${formatPrescription(ex)}, rest for the remainder of the minute`);
+            }
+        } else if (item.group) {
+            const rounds = item.rounds ? item.rounds.max : 1;
+            for (let round = 1; round <= rounds; round++) {
+                item.exercises.forEach((ex, exIndex) => {
+                    const p = ex.prescription;
+                    const duration = p.type === 'time' ? p.max : null;
+                    work(`${ex.name} (round ${round}/${rounds})`, duration, formatPrescription(ex));
+                    if (exIndex < item.exercises.length - 1) rest(item.rest.betweenExercises);
+                });
+                if (round < rounds) rest(item.rest.betweenRounds || restSeconds, `Round ${round + 1} of ${rounds} next`, !item.rest.betweenRounds);
+            }
+        } else {
+            const p = item.prescription;
+            const sets = item.sets || 1;
+            const unit = item.setUnit === 'rounds' ? 'round' : 'set';
+            for (let set = 1; set <= sets; set++) {
+                const label = sets > 1 ? `${item.name} (${unit} ${set}/${sets})` : item.name;
+                if (p.type === 'intervals') {
+                    work(label, p.work, p.effort);
+                    if (set < sets) rest(p.rest);
+                    continue;
+                }
+                if (p.type === 'time' && p.perSide) {
+                    work(`${label} - first ${p.perSide}`, p.max, formatPrescription(item));
+                    work(`${label} - second ${p.perSide}`, p.max, formatPrescription(item));
+                } else {
+                    work(label, p.type === 'time' ? p.max : null, formatPrescription(item));
+                }
+                if (set < sets) rest(restSeconds, '', true);
+            }
+        }
+    });
+    return phases;
+}
+
+// --- Exercise Library ---
+// Plan exercises are free text; findExercise() ties them to EXERCISE_CATALOG entries for their muscles, equipment,
+// cues and substitutes.
+
+const EQUIPMENT = {
+    dumbbells: 'Dumbbells',
+    kettlebell: 'Kettlebell',
+    resistance_band: 'Resistance band',
+    ankle_weights: 'Ankle weights',
+    skipping_rope: 'Skipping rope',
+    bench: 'Sturdy chair or bench',
+    foam_roller: 'Foam roller'
+};
+
+// Finds the EXERCISE_CATALOG key for an exercise name, preferring the longest matching name. Notes in brackets
+// ("Burpees (Modified with Push-up)") are only looked at if the rest of the name doesn't match.
+function findExercise(name) {
+    const findIn = text => {
+        let best = null;
+        let bestLength = 0;
+        Object.entries(EXERCISE_CATALOG).forEach(([id, exercise]) => {
+            [exercise.name, ...(exercise.aliases || [])].forEach(candidate => {
+                if (candidate.length > bestLength && text.includes(candidate.toLowerCase())) {
+                    best = id;
+                    bestLength = candidate.length;
+                }
+            });
+        });
+        return best;
+    };
+    const lower = getExerciseKey(name);
+    return findIn(lower.replace(/\([^)]*\)/g, ' ')) || findIn(lower);
+}
+
+// Labels of the equipment an exercise needs that isn't in available (a list of EQUIPMENT keys)
+function getMissingEquipment(exercise, available) {
+    return exercise.equipment
+        .filter(options => ![].concat(options).some(key => available.includes(key)))
+        .map(options => [].concat(options).map(key => EQUIPMENT[key]).join(' or '));
+}
+
+// Copy of a workout with every exercise that needs missing equipment swapped for its first substitute that can be
+// done with what's available. Swapped exercises keep the planned sets/reps and notes and get substitutedFor (the
+// planned name); ones with no usable substitute keep their name and get missingEquipment.
+function applyEquipmentSubstitutions(workout, available) {
+    const substitute = item => {
+        if (item.group) return { ...item, exercises: item.exercises.map(substitute) };
+        const id = findExercise(item.name);
+        if (!id) return item;
+        const missingEquipment = getMissingEquipment(EXERCISE_CATALOG[id], available);
+        if (missingEquipment.length === 0) return item;
+        const replacement = EXERCISE_CATALOG[id].substitutes.find(subId => getMissingEquipment(EXERCISE_CATALOG[subId], available).length === 0);
+        return replacement
+            ? { ...item, name: EXERCISE_CATALOG[replacement].name, substitutedFor: item.name, missingEquipment }
+            : { ...item, missingEquipment };
+    };
+    return { ...workout, exercises: (workout.exercises || []).map(substitute) };
+}
+
+// --- Progressive Overload ---
+// Suggests the next weight and reps for an exercise from how the last logged sessions of it went. Exercises are
+// matched by name across every week of the plan, so a "Goblet Squat" in Week 9 builds on the one in Week 3.
+// The rule comes from the 'overload' setting: { rule, incrementKg, targetRpe }.
+
+const OVERLOAD_RULES = {
+    double: { label: 'Double progression', hint: 'Work every set up to the top of the rep range, then add weight and start again at the bottom.' },
+    fixed: { label: 'Fixed increments', hint: 'Add weight every session in which all sets are completed; after two missed sessions in a row, drop back 10%.' },
+    rpe: { label: 'RPE-based', hint: 'Adjust the load so your top set lands on the target RPE. Log RPE for each set while training.' }
+};
+
+const DEFAULT_OVERLOAD_SETTINGS = { rule: 'double', incrementKg: 2.5, targetRpe: 8 };
+
+const LOAD_PER_RPE_POINT = 0.03; // Roughly 3% of the load per point of RPE
+const MISSED_SESSIONS_BEFORE_DELOAD = 2;
+const OVERLOAD_DELOAD_FACTOR = 0.9;
+
+// Names are compared ignoring case and spacing
+function getExerciseKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Every logged performance of an exercise, newest first: [{ date, startedAt, sets: [{ weight, reps, duration, rpe, completed }] }].
+// An exercise done inside a circuit or superset counts as one set per session.
+function getExerciseHistory(sessions, name) {
+    const key = getExerciseKey(name);
+    const history = [];
+    sessions.forEach(session => {
+        const sets = [];
+        (session.exercises || []).forEach(ex => {
+            if (ex.group) {
+                ex.exercises.filter(child => getExerciseKey(child.name) === key).forEach(child => sets.push({
+                    weight: child.weight || 0,
+                    reps: child.reps ?? null,
+                    duration: child.duration ?? null,
+                    rpe: null,
+                    completed: child.reps > 0 || child.duration > 0
+                }));
+            } else if (getExerciseKey(ex.name) === key) {
+                (ex.sets || []).forEach(set => sets.push({
+                    weight: set.weight || 0,
+                    reps: set.reps ?? null,
+                    duration: set.duration ?? null,
+                    rpe: set.rpe ?? null,
+                    completed: set.completed
+                }));
+            }
+        });
+        if (sets.some(set => set.completed)) history.push({ date: session.date, startedAt: session.startedAt, sets });
+    });
+    return history.sort((a, b) => (b.startedAt || b.date).localeCompare(a.startedAt || a.date));
+}
+
+function roundToIncrement(weight, increment) {
+    return increment > 0 ? Math.round(weight / increment) * increment : weight;
+}
+
+// A session's heaviest completed sets: { weight, reps: [...], rpe (of the last of them, or null), allCompleted }
+function getWorkingSets(performance) {
+    const done = performance.sets.filter(set => set.completed && set.reps > 0);
+    if (done.length === 0) return null;
+    const weight = Math.max(...done.map(set => set.weight));
+    return {
+        weight,
+        reps: done.filter(set => set.weight === weight).map(set => set.reps),
+        rpe: done.filter(set => set.weight === weight && set.rpe > 0).map(set => set.rpe).pop() ?? null,
+        allCompleted: done.length === performance.sets.length
+    };
+}
+
+// Next target for a rep-based exercise as { weight (kg), reps, reason, last }, or null if there is nothing to go on.
+// Timed holds, intervals and AMRAPs aren't load-driven, so they get no suggestion.
+function suggestNextLoad(prescription, history, settings) {
+    if (!prescription || prescription.type !== 'reps' || history.length === 0) return null;
+    const last = getWorkingSets(history[0]);
+    if (!last) return null;
+    const { min, max } = prescription;
+    const lowest = Math.min(...last.reps);
+    const reachedTop = last.allCompleted && lowest >= max;
+    const suggestion = (weight, reps, reason) => ({ weight: Math.round(weight * 1000) / 1000, reps, reason, last });
+
+    // Bodyweight (or unloaded) work can only progress in reps
+    if (last.weight === 0) {
+        return reachedTop
+            ? suggestion(0, max, 'Top of the range on every set - add load or a harder variation')
+            : suggestion(0, Math.min(max, lowest + 1), 'Aim for one more rep per set');
+    }
+
+    const doubleProgression = note => {
+        if (reachedTop) return suggestion(last.weight + settings.incrementKg, min, `Top of the range on every set - add weight${note}`);
+        if (!last.allCompleted || lowest < min) return suggestion(last.weight, min, `Repeat this weight and complete every set${note}`);
+        return suggestion(last.weight, Math.min(max, lowest + 1), `Same weight, one more rep per set${note}`);
+    };
+
+    switch (settings.rule) {
+        case 'fixed': {
+            const succeeded = working => working && working.allCompleted && Math.min(...working.reps) >= min;
+            if (succeeded(last)) return suggestion(last.weight + settings.incrementKg, min, 'All sets completed - add weight');
+            let missed = 0;
+            for (const performance of history) {
+                const working = getWorkingSets(performance);
+                if (!working || working.weight !== last.weight || succeeded(working)) break;
+                missed++;
+            }
+            if (missed >= MISSED_SESSIONS_BEFORE_DELOAD) {
+                return suggestion(roundToIncrement(last.weight * OVERLOAD_DELOAD_FACTOR, settings.incrementKg), min,
+                    `Missed ${missed} sessions in a row - drop back and build up again`);
+            }
+            return suggestion(last.weight, min, 'Repeat this weight and complete every set');
+        }
+        case 'rpe': {
+            if (last.rpe === null) return doubleProgression(' (no RPE logged last time)');
+            const weight = roundToIncrement(last.weight * (1 + LOAD_PER_RPE_POINT * (settings.targetRpe - last.rpe)), settings.incrementKg);
+            const reps = Math.min(max, Math.max(min, last.reps[last.reps.length - 1]));
+            return suggestion(weight, reps, `Top set was RPE ${last.rpe}; aim for RPE ${settings.targetRpe}`);
+        }
+        default:
+            return doubleProgression('');
+    }
+}
+
+// --- Personal Records ---
+// Bests per exercise, worked out from the same history the overload engine uses (getExerciseHistory()).
+
+const PERSONAL_RECORD_LABELS = {
+    topWeight: 'Heaviest weight',
+    oneRepMax: 'Estimated 1RM',
+    repsAtWeight: 'Most reps',
+    maxDuration: 'Longest duration'
+};
+
+// One-rep max estimates from higher-rep sets are too rough to be worth recording
+const MAX_REPS_FOR_ONE_REP_MAX = 12;
+
+// Epley formula
+function estimateOneRepMax(weight, reps) {
+    return reps === 1 ? weight : weight * (1 + reps / 30);
+}
+
+// Holds are named after what's held ("Plank", "Side Plank"), everything else timed is a duration
+function getRecordLabel(type, exerciseName) {
+    return type === 'maxDuration' && /plank|hold|bridge/i.test(exerciseName) ? 'Longest hold' : PERSONAL_RECORD_LABELS[type];
+}
+
+// Best numbers of one logged performance: { topWeight, oneRepMax, maxReps, maxDuration, repsByWeight: { weight: reps } }
+function summarizePerformance(performance) {
+    const done = performance.sets.filter(set => set.completed);
+    const lifted = done.filter(set => set.reps > 0);
+    const repsByWeight = {};
+    lifted.forEach(set => { repsByWeight[set.weight] = Math.max(repsByWeight[set.weight] || 0, set.reps); });
+    const estimates = lifted.filter(set => set.weight > 0 && set.reps <= MAX_REPS_FOR_ONE_REP_MAX).map(set => estimateOneRepMax(set.weight, set.reps));
+    return {
+        topWeight: Math.max(0, ...lifted.map(set => set.weight)),
+        oneRepMax: Math.round(Math.max(0, ...estimates) * 10) / 10,
+        maxReps: Math.max(0, ...lifted.map(set => set.reps)),
+        maxDuration: Math.max(0, ...done.map(set => set.duration || 0)),
+        repsByWeight
+    };
+}
+
+// Walks an exercise's history (newest first, as from getExerciseHistory()) from the oldest session on. Returns
+// { records, sessions }: records holds the current bests as { value, date } (null if never done) plus
+// repsAtWeight, a list of { weight, reps, date }; sessions is newest first, each { ...performance, summary, broke }
+// where broke lists the records that session beat (a first-ever value doesn't count as beating anything).
+function getPersonalRecords(history) {
+    const records = { topWeight: null, oneRepMax: null, maxDuration: null };
+    const repsAtWeight = {};
+    const sessions = [...history].reverse().map(performance => {
+        const summary = summarizePerformance(performance);
+        const broke = [];
+        Object.keys(records).forEach(type => {
+            if (summary[type] <= 0) return;
+            if (records[type] && summary[type] > records[type].value) broke.push({ type, value: summary[type] });
+            if (!records[type] || summary[type] > records[type].value) records[type] = { value: summary[type], date: performance.date };
+        });
+        Object.entries(summary.repsByWeight).forEach(([weight, reps]) => {
+            const best = repsAtWeight[weight];
+            if (best && reps > best.reps) broke.push({ type: 'repsAtWeight', weight: Number(weight), value: reps });
+            if (!best || reps > best.reps) repsAtWeight[weight] = { weight: Number(weight), reps, date: performance.date };
+        });
+        return { ...performance, summary, broke };
+    });
+    return {
+        records: { ...records, repsAtWeight: Object.values(repsAtWeight).sort((a, b) => a.weight - b.weight) },
+        sessions: sessions.reverse()
+    };
+}
+
+// Records a just-finished session beats, compared with every earlier session: [{ name, type, value, weight }]
+function findNewRecords(previousSessions, session) {
+    const names = new Map();
+    session.exercises.forEach(ex => (ex.group ? ex.exercises : [ex]).forEach(item => names.set(getExerciseKey(item.name), item.name)));
+    return [...names.values()].flatMap(name => {
+        const { sessions } = getPersonalRecords(getExerciseHistory([...previousSessions, session], name));
+        const latest = sessions.find(performance => performance.startedAt === session.startedAt);
+        return latest ? latest.broke.map(record => ({ name, ...record })) : [];
+    });
+}
+
+// --- Readiness & Deloads ---
+// A daily check-in is stored on dailyData as readiness: { sleep (hours), soreness, energy, stress } (1-5 scales).
+// Together with recent training volume and the weeks since the last deload it decides when a deload week is due.
+// Accepted deloads are kept on the enrollment as deloadWeeks (declined ones as declinedDeloadWeeks), and
+// applyDeloadWeeks swaps those weeks for a reduced-volume copy whenever the plan is read.
+
+const READINESS_FIELDS = [
+    { key: 'sleep', label: 'Sleep (hours)', min: 0, max: 14, step: 0.5 },
+    { key: 'soreness', label: 'Soreness (1 none - 5 very sore)', min: 1, max: 5, step: 1 },
+    { key: 'energy', label: 'Energy (1 drained - 5 great)', min: 1, max: 5, step: 1 },
+    { key: 'stress', label: 'Stress (1 calm - 5 very stressed)', min: 1, max: 5, step: 1 }
+];
+
+const TARGET_SLEEP_HOURS = 8;
+const DELOAD_EVERY_WEEKS = { min: 4, max: 6 }; // "Deload Weeks: Every 4-6 weeks"
+const LOW_READINESS_SCORE = 60;
+const VERY_LOW_READINESS_SCORE = 45;
+const MIN_READINESS_CHECKINS = 3;
+const VOLUME_SPIKE_RATIO = 1.2;
+const DELOAD_VOLUME_FACTOR = 0.6;
+const DELOAD_NOTE = 'Deload: about 70% of your usual weight, stop well short of failure.';
+
+// 0-100, higher is fresher; null if nothing was filled in
+function getReadinessScore(readiness) {
+    if (!readiness) return null;
+    const parts = [];
+    if (readiness.sleep >= 0) parts.push(Math.min(readiness.sleep / TARGET_SLEEP_HOURS, 1));
+    if (readiness.energy > 0) parts.push((readiness.energy - 1) / 4);
+    if (readiness.soreness > 0) parts.push((5 - readiness.soreness) / 4);
+    if (readiness.stress > 0) parts.push((5 - readiness.stress) / 4);
+    return parts.length > 0 ? Math.round(parts.reduce((sum, part) => sum + part, 0) / parts.length * 100) : null;
+}
+
+// Hard sets in a session: completed sets, plus one per round for each exercise in a circuit or superset
+function countCompletedSets(session) {
+    return (session.exercises || []).reduce((sum, ex) => {
+        if (ex.group) return sum + (ex.roundsCompleted || 0) * ex.exercises.length;
+        return sum + (ex.sets || []).filter(set => set.completed).length;
+    }, 0);
+}
+
+// Decides whether the current program week should be a deload. Returns { due, reasons, readinessAverage }.
+// weeksSinceDeload counts finished weeks since the start of the program or the last deload.
+function assessDeload({ weeksSinceDeload, dailyData, sessions, today }) {
+    const weekStart = addDaysToDateString(today, -6);
+    const baselineStart = addDaysToDateString(today, -27);
+    const scores = dailyData
+        .filter(d => d.date >= weekStart && d.date <= today)
+        .map(d => getReadinessScore(d.readiness))
+        .filter(score => score !== null);
+    const readinessAverage = scores.length >= MIN_READINESS_CHECKINS
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+        : null;
+    const trainingSessions = sessions.filter(session => !session.deload);
+    const setsBetween = (from, to) => trainingSessions
+        .filter(session => session.date >= from && session.date <= to)
+        .reduce((sum, session) => sum + countCompletedSets(session), 0);
+    const recentSets = setsBetween(weekStart, today);
+    const baselineSets = setsBetween(baselineStart, addDaysToDateString(weekStart, -1)) / 3;
+
+    const lowReadiness = readinessAverage !== null && readinessAverage < LOW_READINESS_SCORE;
+    const veryLowReadiness = readinessAverage !== null && readinessAverage < VERY_LOW_READINESS_SCORE;
+    const volumeSpike = baselineSets > 0 && recentSets > baselineSets * VOLUME_SPIKE_RATIO;
+
+    const reasons = [];
+    if (weeksSinceDeload >= DELOAD_EVERY_WEEKS.min && (weeksSinceDeload >= DELOAD_EVERY_WEEKS.max || lowReadiness || volumeSpike)) {
+        reasons.push(`${weeksSinceDeload} weeks of training without a deload`);
+    }
+    if (lowReadiness) reasons.push(`readiness has averaged ${readinessAverage}/100 over the last week`);
+    if (volumeSpike) reasons.push(`you did ${recentSets} hard sets this week, ${Math.round((recentSets / baselineSets - 1) * 100)}% above your recent average`);
+
+    const due = weeksSinceDeload >= DELOAD_EVERY_WEEKS.max
+        || (weeksSinceDeload >= DELOAD_EVERY_WEEKS.min && (lowReadiness || volumeSpike))
+        || (veryLowReadiness && volumeSpike);
+    return { due, reasons: due ? reasons : [], readinessAverage };
+}
+
+// Reduced-volume copy of a normalized workout: fewer sets and rounds, shorter time caps, and a lighter-load note
+function buildDeloadWorkout(workout) {
+    const fewer = count => Math.max(1, Math.round(count * DELOAD_VOLUME_FACTOR));
+    const addNote = notes => (notes ? `${notes} ${DELOAD_NOTE}` : DELOAD_NOTE);
+    const exercises = (workout.exercises || []).map(item => {
+        if (item.group) {
+            return {
+                ...item,
+                rounds: item.rounds ? { min: fewer(item.rounds.min), max: fewer(item.rounds.max) } : null,
+                minutes: item.minutes ? fewer(item.minutes) : null,
+                notes: addNote(item.notes)
+            };
+        }
+        return { ...item, sets: item.sets ? fewer(item.sets) : item.sets, notes: addNote(item.notes) };
+    });
+    return { ...workout, type: `${workout.type} (Deload)`, exercises, deload: true };
+}
+
+// Swaps in the deload version of every week the enrollment has accepted a deload for (on a loadPlan() result).
+// Rest and recovery days are left as they are.
+function applyDeloadWeeks(loadedPlan, enrollment) {
+    const deloadWeeks = (enrollment && enrollment.deloadWeeks) || [];
+    if (deloadWeeks.length === 0) return loadedPlan;
+    const weeks = { ...loadedPlan.weeks };
+    deloadWeeks.forEach(weekNum => {
+        const weekKey = `Week ${weekNum}`;
+        if (!weeks[weekKey]) return;
+        weeks[weekKey] = Object.fromEntries(Object.entries(weeks[weekKey]).map(([dayKey, workout]) =>
+            [dayKey, workout.exercises && workout.exercises.length > 0 && !REST_DAY_PATTERN.test(workout.type || '') ? buildDeloadWorkout(workout) : workout]));
+    });
+    return { ...loadedPlan, weeks };
+}
+
+// Finished weeks since the program started or since the last deload week before the current one
+function getWeeksSinceDeload(enrollment, week) {
+    const earlier = ((enrollment && enrollment.deloadWeeks) || []).filter(w => w < week);
+    return week - 1 - (earlier.length > 0 ? Math.max(...earlier) : 0);
+}
+
+// --- Workout Adherence ---
+// Each planned day can be marked in the workoutStatus store as { date, week, day, status, reason, updatedAt }.
+// Days without a mark take their status from the sessions logged that day, and past training days with
+// neither count as missed. Rest and recovery days don't count towards streaks or completion.
+
+const WORKOUT_STATUSES = {
+    completed: { label: 'Completed', credit: 1 },
+    partial: { label: 'Partial', credit: 0.5 },
+    skipped: { label: 'Skipped', credit: 0 }
+};
+
+// Labels for the statuses that aren't marked by the user
+const ADHERENCE_LABELS = { missed: 'Missed', pending: 'Due today', upcoming: 'Upcoming', rest: 'Rest' };
+
+function getAdherenceLabel(status) {
+    return WORKOUT_STATUSES[status] ? WORKOUT_STATUSES[status].label : ADHERENCE_LABELS[status];
+}
+
+// Status implied by a day's logged sessions: completed if every planned set/round was done, partial if some were
+function getSessionsStatus(sessions) {
+    let planned = 0;
+    let done = 0;
+    sessions.forEach(session => (session.exercises || []).forEach(ex => {
+        if (ex.group) {
+            const rounds = ex.roundsPlanned ? ex.roundsPlanned.min : 1;
+            planned += rounds;
+            done += Math.min(ex.roundsCompleted || 0, rounds);
+        } else {
+            planned += (ex.sets || []).length;
+            done += (ex.sets || []).filter(set => set.completed).length;
+        }
+    }));
+    if (done === 0) return null;
+    return done >= planned ? 'completed' : 'partial';
+}
+
+// Every day of a program run in date order, after schedule overrides: [{ date, week, day, workout, isTraining }]
+function getProgramDays(plan, enrollment, planLength, overrides = []) {
+    const programDates = getProgramDates(enrollment, planLength, overrides);
+    const days = [];
+    for (let week = 1; week <= planLength; week++) {
+        for (let day = 1; day <= 7; day++) {
+            const date = programDates[`Week ${week}|Day ${day}`];
+            if (!date) continue; // Replaced by a workout moved onto its date
+            const workout = (plan.weeks[`Week ${week}`] || {})[`Day ${day}`];
+            days.push({
+                date,
+                week,
+                day,
+                workout,
+                isTraining: !!(workout && workout.exercises && workout.exercises.length > 0 && !REST_DAY_PATTERN.test(workout.type || ''))
+            });
+        }
+    }
+    return days.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Resolves the status of every program day and works out streaks and per-week completion. Returns
+// { days: [{ ...programDay, status, manual, reason }], currentStreak, longestStreak, weeks: [{ week, percent }], percent }.
+// status is one of the WORKOUT_STATUSES keys, or 'missed', 'pending' (today, not done yet), 'upcoming' or 'rest'.
+function buildAdherence(programDays, statusRecords, sessions, today) {
+    const marks = new Map(statusRecords.map(record => [record.date, record]));
+    const sessionsByDate = {};
+    sessions.forEach(session => { (sessionsByDate[session.date] = sessionsByDate[session.date] || []).push(session); });
+
+    const days = programDays.map(programDay => {
+        const mark = marks.get(programDay.date);
+        if (mark) return { ...programDay, status: mark.status, manual: true, reason: mark.reason || '' };
+        const logged = getSessionsStatus(sessionsByDate[programDay.date] || []);
+        let status = logged;
+        if (!status) {
+            if (!programDay.isTraining) status = 'rest';
+            else if (programDay.date < today) status = 'missed';
+            else status = programDay.date === today ? 'pending' : 'upcoming';
+        }
+        return { ...programDay, status, manual: false, reason: '' };
+    });
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    const weekTotals = {};
+    days.filter(day => day.isTraining && day.date <= today).forEach(day => {
+        if (day.status === 'pending') return; // Today still counts as on track until it's over
+        const credit = WORKOUT_STATUSES[day.status] ? WORKOUT_STATUSES[day.status].credit : 0;
+        currentStreak = credit > 0 ? currentStreak + 1 : 0;
+        longestStreak = Math.max(longestStreak, currentStreak);
+        const totals = weekTotals[day.week] = weekTotals[day.week] || { done: 0, scheduled: 0 };
+        totals.done += credit;
+        totals.scheduled++;
+    });
+
+    const toPercent = ({ done, scheduled }) => (scheduled > 0 ? Math.round(done / scheduled * 100) : null);
+    const weeks = [...new Set(programDays.map(day => day.week))].map(week => ({
+        week,
+        percent: weekTotals[week] ? toPercent(weekTotals[week]) : null
+    }));
+    const overall = Object.values(weekTotals).reduce((sum, t) => ({ done: sum.done + t.done, scheduled: sum.scheduled + t.scheduled }), { done: 0, scheduled: 0 });
+    return { days, currentStreak, longestStreak, weeks, percent: toPercent(overall) };
+}
+
+// --- Charts & Trends ---
+
+// Trailing moving average: each value is the mean of itself and up to (window - 1) values before it
+function movingAverage(values, window) {
+    return values.map((_, i) => {
+        const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+        return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+    });
+}
+
+// Circular progress ring for value/target; a full ring means the target is reached
+function buildProgressRingSvg(fraction, className = '', size = 64) {
+    const center = size / 2;
+    const radius = center - 5;
+    const circumference = 2 * Math.PI * radius;
+    const filled = Math.min(Math.max(fraction, 0), 1) * circumference;
+    return `<svg class="progress-ring ${className}" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" role="img">
+        <circle class="ring-track" cx="${center}" cy="${center}" r="${radius.toFixed(1)}"/>
+        <circle class="ring-fill" cx="${center}" cy="${center}" r="${radius.toFixed(1)}"
+            stroke-dasharray="${filled.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 ${center} ${center})"/>
+        <text class="ring-label" x="${center}" y="${center + 4}" text-anchor="middle">${Math.round(fraction * 100)}%</text>
+    </svg>`;
+}
+
+// Least-squares fit of y = slope * x + intercept over [{ x, y }]
+function linearRegression(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const slope = variance ? covariance / variance : 0;
+    return { slope, intercept: meanY - slope * meanX };
+}
+
+// Projects when the target weight will be reached from the trend of the last `days` days of entries.
+// Returns { ratePerWeek, date } - date is null if there isn't enough data or the trend is heading away from the goal.
+function projectGoalDate(weights, target, days = 28) {
+    const sorted = [...weights].sort((a, b) => a.date.localeCompare(b.date));
+    if (sorted.length < 2) return null;
+    const lastDate = parseDateString(sorted[sorted.length - 1].date);
+    const recent = sorted.filter(w => daysBetween(parseDateString(w.date), lastDate) <= days);
+    const points = recent.map(w => ({ x: daysBetween(lastDate, parseDateString(w.date)), y: w.weight }));
+    if (points.length < 2 || points[0].x === points[points.length - 1].x) return null;
+
+    const { slope, intercept } = linearRegression(points);
+    const ratePerWeek = slope * 7;
+    const remaining = target - intercept; // intercept = trend weight on the last logged day
+    if (slope === 0 || Math.sign(remaining) !== Math.sign(slope)) return { ratePerWeek, date: null };
+    if (Math.abs(remaining) < 0.05) return { ratePerWeek, date: lastDate };
+
+    const date = new Date(lastDate);
+    date.setDate(date.getDate() + Math.ceil(remaining / slope));
+    return { ratePerWeek, date };
+}
+
+// Builds a dependency-free SVG line chart.
+// series: [{ points: [{ x: Date, y }], className, dots }]; goal (optional) draws a dashed horizontal line.
+function buildLineChartSvg({ series, goal, unit = '', width = 320, height = 180 }) {
+    const pad = { top: 10, right: 10, bottom: 22, left: 40 };
+    const allPoints = series.flatMap(s => s.points);
+    if (allPoints.length === 0) return '';
+
+    const xs = allPoints.map(p => p.x.getTime());
+    const ys = allPoints.map(p => p.y).concat(goal !== undefined && goal !== null ? [goal] : []);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    let minY = Math.min(...ys);
+    let maxY = Math.max(...ys);
+    const yPad = (maxY - minY) * 0.1 || 1;
+    minY -= yPad;
+    maxY += yPad;
+
+    const scaleX = x => pad.left + (maxX === minX ? 0.5 : (x.getTime() - minX) / (maxX - minX)) * (width - pad.left - pad.right);
+    const scaleY = y => +(pad.top + (1 - (y - minY) / (maxY - minY)) * (height - pad.top - pad.bottom)).toFixed(1);
+    const formatAxisDate = date => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    let svg = `<svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">`;
+    [maxY - yPad, minY + yPad].forEach(y => {
+        svg += `<line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(y)}" y2="${scaleY(y)}"/>`;
+        svg += `<text class="chart-label" x="${pad.left - 4}" y="${scaleY(y) + 4}" text-anchor="end">${y.toFixed(1)}${unit}</text>`;
+    });
+    svg += `<text class="chart-label" x="${pad.left}" y="${height - 6}">${formatAxisDate(new Date(minX))}</text>`;
+    svg += `<text class="chart-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${formatAxisDate(new Date(maxX))}</text>`;
+
+    if (goal !== undefined && goal !== null) {
+        svg += `<line class="chart-goal" x1="${pad.left}" x2="${width - pad.right}" y1="${scaleY(goal)}" y2="${scaleY(goal)}"/>`;
+        svg += `<text class="chart-label chart-goal-label" x="${width - pad.right}" y="${scaleY(goal) - 4}" text-anchor="end">Goal ${goal}${unit}</text>`;
+    }
+
+    series.forEach(s => {
+        const coords = s.points.map(p => `${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`);
+        if (coords.length > 1) {
+            svg += `<polyline class="${s.className}" points="${coords.join(' ')}"/>`;
+        }
+        if (s.dots) {
+            coords.forEach(c => {
+                const [cx, cy] = c.split(',');
+                svg += `<circle class="${s.className}-dot" cx="${cx}" cy="${cy}" r="2.5"/>`;
+            });
+        }
+    });
+    return svg + '</svg>';
+}
+
+// --- Backup & Restore ---
+// A backup is { app, format, dbVersion, exportedAt, stores: { storeName: [records] } } covering every object
+// store, so stores added later are included without changes here.
+
+const BACKUP_APP_NAME = 'FitnessTrackerPWA';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Stores keyed by date; when merging, a date present on both sides with different values is a conflict
+const DATE_KEYED_STORES = ['dailyData', 'weights', 'workoutStatus'];
+
+// How to recognise a record that's already stored when merging into an auto-increment store (ids differ between
+// devices). Stores not listed compare the whole record minus its id.
+const BACKUP_RECORD_IDENTITY = {
+    workoutSessions: r => `${r.date}|${r.startedAt}`,
+    foodEntries: r => (r.quickAdd ? `${r.date}|quickAdd` : `${r.date}|${r.createdAt}|${r.name}`), // Migrated totals get a fresh createdAt
+    plans: r => r.name,
+    recipes: r => r.name,
+    enrollments: r => `${r.planId}|${r.startDate}|${r.createdAt}`
+};
+
+async function buildBackup() {
+    if (!db) await openDatabase();
+    const stores = {};
+    for (const storeName of Array.from(db.objectStoreNames)) {
+        stores[storeName] = await getAllFromStore(storeName);
+    }
+    return { app: BACKUP_APP_NAME, format: BACKUP_FORMAT_VERSION, dbVersion: DB_VERSION, exportedAt: new Date().toISOString(), stores };
+}
+
+// Returns a list of problems with a parsed backup file; empty if this version can import it
+function validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || backup.app !== BACKUP_APP_NAME) {
+        return ["This doesn't look like a backup from this app."];
+    }
+    const problems = [];
+    if (backup.format !== BACKUP_FORMAT_VERSION) problems.push(`Unknown backup format ${backup.format}.`);
+    if (!Number.isInteger(backup.dbVersion) || backup.dbVersion < 1) problems.push('The backup has no valid data version.');
+    if (backup.dbVersion > DB_VERSION) problems.push('The backup was made by a newer version of the app. Update the app first.');
+    if (!backup.stores || typeof backup.stores !== 'object') return [...problems, 'The backup has no data.'];
+
+    Object.entries(backup.stores).forEach(([storeName, records]) => {
+        if (!Array.isArray(records)) {
+            problems.push(`"${storeName}" should be a list of records.`);
+            return;
+        }
+        records.forEach((record, i) => {
+            if (!record || typeof record !== 'object') {
+                problems.push(`${storeName} #${i + 1} is not a record.`);
+            } else if (DATE_KEYED_STORES.includes(storeName) && !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) {
+                problems.push(`${storeName} #${i + 1} has an invalid date "${record.date}".`);
+            } else if (storeName === 'settings' && typeof record.key !== 'string') {
+                problems.push(`settings #${i + 1} has no key.`);
+            } else if (!DATE_KEYED_STORES.includes(storeName) && storeName !== 'settings' && 'id' in record
+                && !(Number.isInteger(record.id) && record.id > 0)) {
+                problems.push(`${storeName} #${i + 1} has an invalid id "${record.id}".`);
+            }
+        });
+    });
+    return problems;
+}
+
+// Brings a backup made by an older version up to the current schema, applying the same fixes as the IndexedDB
+// upgrade in openDatabase
+function migrateBackup(backup) {
+    const fromVersion = backup.dbVersion;
+    const stores = JSON.parse(JSON.stringify(backup.stores));
+    if (fromVersion >= 3 && fromVersion < 6) {
+        (stores.plans || []).forEach(plan => migrateStoredPlan(plan, fromVersion));
+    }
+    if (fromVersion < 7) {
+        (stores.workoutSessions || []).forEach(session => { session.date = getLocalSessionDate(session); });
+    }
+    if (fromVersion < 8) {
+        stores.foodEntries = stores.foodEntries || [];
+        stores.dailyData = (stores.dailyData || []).map(dailyRecord => {
+            const { record, quickAdd } = splitLegacyMacros(dailyRecord);
+            if (quickAdd) stores.foodEntries.push(quickAdd);
+            return record;
+        });
+    }
+    return { ...backup, dbVersion: DB_VERSION, stores };
+}
+
+// JSON with sorted keys, so two records with the same values compare equal whatever order their fields are in
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Dates that exist both locally and in the backup with different values, per date-keyed store
+async function findBackupConflicts(stores) {
+    const conflicts = {};
+    for (const storeName of DATE_KEYED_STORES) {
+        const existing = new Map((await getAllFromStore(storeName)).map(r => [r.date, stableStringify(r)]));
+        const dates = (stores[storeName] || [])
+            .filter(r => existing.has(r.date) && existing.get(r.date) !== stableStringify(r))
+            .map(r => r.date)
+            .sort();
+        if (dates.length > 0) conflicts[storeName] = dates;
+    }
+    return conflicts;
+}
+
+// Adds a (migrated) backup's records to the existing data. Conflicting dates take the backup's values only if
+// overwriteConflicts is set; settings that already exist are kept. Plans are merged first so enrollments can be
+// pointed at the plan ids on this device, then enrollments so schedule overrides can be pointed at theirs.
+// Resolves with { storeName: { added, updated, skipped } }.
+async function mergeBackup(stores, overwriteConflicts) {
+    if (!db) await openDatabase();
+    const mergeOrder = name => (name === 'plans' ? 0 : name === 'enrollments' ? 1 : 2);
+    const storeNames = Array.from(db.objectStoreNames).filter(name => stores[name])
+        .sort((a, b) => mergeOrder(a) - mergeOrder(b));
+    const planIdMap = {};
+    const enrollmentIdMap = {};
+    const report = {};
+
+    for (const storeName of storeNames) {
+        const existing = await getAllFromStore(storeName);
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        const toWrite = [];
+        let records = stores[storeName];
+
+        if (DATE_KEYED_STORES.includes(storeName) || storeName === 'settings') {
+            const keyField = storeName === 'settings' ? 'key' : 'date';
+            const existingByKey = new Map(existing.map(r => [r[keyField], stableStringify(r)]));
+            records.forEach(record => {
+                const current = existingByKey.get(record[keyField]);
+                if (current === undefined) {
+                    toWrite.push(record);
+                    counts.added++;
+                } else if (current !== stableStringify(record) && overwriteConflicts && storeName !== 'settings') {
+                    toWrite.push(record);
+                    counts.updated++;
+                } else if (current !== stableStringify(record)) {
+                    counts.skipped++;
+                }
+            });
+            await putRecords(storeName, toWrite);
+        } else {
+            if (storeName === 'enrollments') {
+                records = records.filter(r => planIdMap[r.planId] !== undefined).map(r => ({ ...r, planId: planIdMap[r.planId] }));
+                counts.skipped += stores[storeName].length - records.length; // Runs of plans that aren't in the backup
+            }
+            if (storeName === 'scheduleOverrides') {
+                records = records.filter(r => r.enrollmentId === undefined || enrollmentIdMap[r.enrollmentId] !== undefined)
+                    .map(r => (r.enrollmentId === undefined ? r : { ...r, enrollmentId: enrollmentIdMap[r.enrollmentId] }));
+                counts.skipped += stores[storeName].length - records.length; // Changes to runs that weren't merged
+            }
+            const identify = BACKUP_RECORD_IDENTITY[storeName] || (({ id, ...rest }) => stableStringify(rest));
+            const existingByIdentity = new Map(existing.map(r => [identify(r), r]));
+            const newRecords = [];
+            records.forEach(record => {
+                const match = existingByIdentity.get(identify(record));
+                if (match) {
+                    if (storeName === 'plans') planIdMap[record.id] = match.id;
+                    if (storeName === 'enrollments') enrollmentIdMap[record.id] = match.id;
+                    return;
+                }
+                const { id, ...withoutId } = record;
+                newRecords.push({ backupId: id, record: withoutId });
+            });
+            const keys = await putRecords(storeName, newRecords.map(r => r.record));
+            if (storeName === 'plans') newRecords.forEach((r, i) => { planIdMap[r.backupId] = keys[i]; });
+            if (storeName === 'enrollments') newRecords.forEach((r, i) => { enrollmentIdMap[r.backupId] = keys[i]; });
+            counts.added = newRecords.length;
+        }
+        report[storeName] = counts;
+    }
+    return report;
+}
+
+// --- Activity File Import ---
+// Reads GPX, TCX and FIT exports from watches and phones into activities:
+// { source, sport, startTime (ISO), date, durationSec, distanceM, steps, calories } (null where the file has nothing).
+
+const FIT_EPOCH_OFFSET = 631065600; // Seconds from the Unix epoch to the FIT epoch (1989-12-31 UTC)
+const FIT_SPORTS = { 0: 'Workout', 1: 'Running', 2: 'Cycling', 5: 'Swimming', 11: 'Walking', 15: 'Rowing', 17: 'Hiking' };
+
+// Timed plan exercises with these names are the ones an imported activity can stand in for
+// (word-bounded so "Crab Walks" isn't cardio; the timed check rules out "Walking Lunges")
+const CARDIO_PATTERN = /\b(walk|walking|jog|jogging|run|running|cardio|cycling|bike|rowing|swim|swimming|hike|hiking|skipping)\b/i;
+
+// Great-circle distance in metres between two { lat, lon } points
+function haversineMeters(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function buildActivity(source, sport, startTime, fields) {
+    return {
+        source,
+        sport: sport ? sport.charAt(0).toUpperCase() + sport.slice(1) : 'Workout',
+        startTime: startTime.toISOString(),
+        date: formatDateString(startTime),
+        durationSec: fields.durationSec ? Math.round(fields.durationSec) : null,
+        distanceM: fields.distanceM ? Math.round(fields.distanceM) : null,
+        steps: fields.steps || null,
+        calories: fields.calories || null
+    };
+}
+
+function parseXml(text, fileType) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw `Not a valid ${fileType} file`;
+    return doc;
+}
+
+// Namespace-agnostic lookups, since exports disagree on prefixes
+const xmlAll = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const xmlText = (node, name) => {
+    const element = xmlAll(node, name)[0];
+    return element ? element.textContent.trim() : null;
+};
+
+// One activity per GPX track; distance and duration come from the track points
+function parseGpx(text) {
+    const doc = parseXml(text, 'GPX');
+    return xmlAll(doc, 'trk').map(track => {
+        const points = xmlAll(track, 'trkpt').map(point => ({
+            lat: parseFloat(point.getAttribute('lat')),
+            lon: parseFloat(point.getAttribute('lon')),
+            time: xmlText(point, 'time')
+        }));
+        const times = points.filter(p => p.time).map(p => new Date(p.time));
+        if (times.length === 0) return null;
+        let distanceM = 0;
+        for (let i = 1; i < points.length; i++) distanceM += haversineMeters(points[i - 1], points[i]);
+        return buildActivity('gpx', xmlText(track, 'type') || xmlText(track, 'name'), times[0], {
+            durationSec: (times[times.length - 1] - times[0]) / 1000,
+            distanceM
+        });
+    }).filter(Boolean);
+}
+
+// One activity per TCX Activity, adding up its laps
+function parseTcx(text) {
+    const doc = parseXml(text, 'TCX');
+    return xmlAll(doc, 'Activity').map(activity => {
+        const id = xmlText(activity, 'Id');
+        if (!id) return null;
+        const laps = xmlAll(activity, 'Lap');
+        const sumOf = name => laps.reduce((sum, lap) => sum + (parseFloat(xmlText(lap, name)) || 0), 0);
+        return buildActivity('tcx', activity.getAttribute('Sport'), new Date(id), {
+            durationSec: sumOf('TotalTimeSeconds'),
+            distanceM: sumOf('DistanceMeters'),
+            calories: sumOf('Calories'),
+            steps: xmlAll(activity, 'Steps').reduce((sum, el) => sum + (parseInt(el.textContent) || 0), 0)
+        });
+    }).filter(Boolean);
+}
+
+// Reads one numeric FIT field, returning null for the protocol's "invalid" marker values
+function readFitValue(view, offset, field, littleEndian) {
+    const baseType = field.baseType & 0x1f;
+    const signed = baseType === 1 || baseType === 3 || baseType === 5;
+    const zeroInvalid = baseType === 10 || baseType === 11 || baseType === 12; // uint8z, uint16z and uint32z
+    let value;
+    if (field.size === 1) value = signed ? view.getInt8(offset) : view.getUint8(offset);
+    else if (field.size === 2) value = signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+    else if (field.size === 4) value = signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+    else return null;
+    const invalid = signed ? 2 ** (field.size * 8 - 1) - 1 : 2 ** (field.size * 8) - 1;
+    return value === invalid || (zeroInvalid && value === 0) ? null : value;
+}
+
+// Minimal FIT decoder: walks the record stream and keeps the session summaries (global message 18)
+function parseFit(buffer) {
+    if (buffer.byteLength < 12 || String.fromCharCode(...new Uint8Array(buffer, 8, 4)) !== '.FIT') throw 'Not a valid FIT file';
+    const view = new DataView(buffer);
+    const headerSize = view.getUint8(0);
+    const dataEnd = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+    const definitions = {};
+    const sessions = [];
+    let offset = headerSize;
+    // A truncated file ends partway through a record
+    const ensureBytes = count => {
+        if (offset + count > dataEnd) throw 'Corrupt FIT file';
+    };
+
+    while (offset < dataEnd) {
+        const header = view.getUint8(offset++);
+        const compressedTimestamp = (header & 0x80) !== 0;
+        const localType = compressedTimestamp ? (header >> 5) & 0x03 : header & 0x0f;
+        if (!compressedTimestamp && (header & 0x40)) {
+            ensureBytes(5);
+            const littleEndian = view.getUint8(offset + 1) === 0;
+            const globalNum = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = view.getUint8(offset + 4);
+            offset += 5;
+            ensureBytes(fieldCount * 3);
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++, offset += 3) {
+                fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+            }
+            let developerSize = 0;
+            if (header & 0x20) {
+                ensureBytes(1);
+                const developerCount = view.getUint8(offset++);
+                ensureBytes(developerCount * 3);
+                for (let i = 0; i < developerCount; i++, offset += 3) developerSize += view.getUint8(offset + 1);
+            }
+            definitions[localType] = { littleEndian, globalNum, fields, developerSize };
+            continue;
+        }
+        const definition = definitions[localType];
+        if (!definition) throw 'Corrupt FIT file';
+        ensureBytes(definition.fields.reduce((sum, field) => sum + field.size, 0) + definition.developerSize);
+        const values = {};
+        definition.fields.forEach(field => {
+            values[field.num] = readFitValue(view, offset, field, definition.littleEndian);
+            offset += field.size;
+        });
+        offset += definition.developerSize;
+        if (definition.globalNum === 18) sessions.push(values);
+    }
+
+    // Session fields: 2 start_time, 5 sport, 7 total_elapsed_time (ms), 9 total_distance (cm), 11 total_calories
+    return sessions.filter(session => session[2]).map(session =>
+        buildActivity('fit', FIT_SPORTS[session[5]], new Date((session[2] + FIT_EPOCH_OFFSET) * 1000), {
+            durationSec: session[7] !== null ? session[7] / 1000 : null,
+            distanceM: session[9] !== null ? session[9] / 100 : null,
+            calories: session[11]
+        })
+    );
+}
+
+// Picks the parser from the file extension
+async function parseActivityFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'gpx') return parseGpx(await file.text());
+    if (extension === 'tcx') return parseTcx(await file.text());
+    if (extension === 'fit') return parseFit(await file.arrayBuffer());
+    throw `Unsupported file type ".${extension}"`;
+}
+
+// The planned exercise an activity could count as on its date, e.g. "Light Walking 30 min". isCardioDay is false
+// when it's only a warm-up on a strength day, so the import doesn't attach to it unless asked.
+async function findPlannedCardio(date) {
+    const planned = await getPlannedWorkout(date);
+    if (!planned || !planned.workout) return null;
+    const exercise = (planned.workout.exercises || []).find(ex =>
+        !ex.group && ex.prescription.type === 'time' && CARDIO_PATTERN.test(ex.name));
+    if (!exercise) return null;
+    const type = planned.workout.type || '';
+    return { ...planned, exercise, isCardioDay: CARDIO_PATTERN.test(type) || REST_DAY_PATTERN.test(type) };
+}
+
+function formatActivity(activity) {
+    const parts = [activity.sport];
+    if (activity.distanceM) parts.push(`${(activity.distanceM / 1000).toFixed(2)} km`);
+    if (activity.durationSec) parts.push(formatDuration(activity.durationSec));
+    if (activity.steps) parts.push(`${activity.steps} steps`);
+    if (activity.calories) parts.push(`${activity.calories} kcal`);
+    return parts.join(', ');
+}
+
+// Merges an activity into its day's dailyData (re-importing the same file is a no-op) and, when asked, logs it as a
+// completed session of that day's planned cardio. Steps keep whichever is higher: the typed count or the imported total.
+async function importActivity(activity, attachToPlan) {
+    const existingData = await getDailyData(activity.date) || {};
+    const activities = (existingData.activities || []).filter(a => a.startTime !== activity.startTime);
+    activities.push(activity);
+    activities.sort((a, b) => a.startTime.localeCompare(b.startTime));
+    const importedSteps = activities.reduce((sum, a) => sum + (a.steps || 0), 0);
+    const data = { ...existingData, activities };
+    if (importedSteps > (existingData.steps || 0)) data.steps = importedSteps;
+    await saveDailyData(activity.date, data);
+
+    if (!attachToPlan) return { attached: false };
+    const cardio = await findPlannedCardio(activity.date);
+    if (!cardio) return { attached: false };
+    const sessions = await getWorkoutSessionsByDate(activity.date);
+    if (sessions.some(session => session.startedAt === activity.startTime)) return { attached: true };
+    await saveWorkoutSession({
+        date: activity.date,
+        week: cardio.week,
+        day: cardio.day,
+        type: cardio.workout.type,
+        startedAt: activity.startTime,
+        finishedAt: new Date(new Date(activity.startTime).getTime() + (activity.durationSec || 0) * 1000).toISOString(),
+        source: activity.source,
+        distance: activity.distanceM,
+        calories: activity.calories,
+        exercises: [{
+            name: cardio.exercise.name,
+            prescription: cardio.exercise.prescription,
+            planned: formatPrescription(cardio.exercise),
+            sets: [{ weight: 0, duration: activity.durationSec || 0, completed: true }]
+        }]
+    });
+    return { attached: true };
+}
+
+// --- CSV Import & Export ---
+
+// Date formats the CSV importer understands; parse returns [year, month, day]
+const CSV_DATE_FORMATS = {
+    'YYYY-MM-DD': { label: 'YYYY-MM-DD (2025-07-31)', pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/, order: [1, 2, 3] },
+    'DD/MM/YYYY': { label: 'DD/MM/YYYY (31/07/2025)', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/, order: [3, 2, 1] },
+    'MM/DD/YYYY': { label: 'MM/DD/YYYY (07/31/2025)', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/, order: [3, 1, 2] }
+};
+
+// Fields each importable store takes from a CSV; weight goes through unit conversion
+const CSV_IMPORT_FIELDS = {
+    weights: [{ key: 'weight', label: 'Weight', aliases: ['weight', 'mass', 'body weight'] }],
+    dailyData: [
+        { key: 'steps', label: 'Steps', aliases: ['steps', 'step count'] },
+        { key: 'water', label: 'Water (L)', aliases: ['water'] }
+    ]
+};
+
+// Turns rows of values into CSV text, quoting anything with commas, quotes or line breaks
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+// Parses CSV text into rows of strings. Handles quoted fields and uses ';' as the delimiter if the first line has
+// more of those than commas (common in exports from European-locale apps).
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Reads a date in the given CSV_DATE_FORMATS format into a 'YYYY-MM-DD' key, or null if it doesn't match.
+// ISO timestamps with a time zone are converted to the local date.
+function parseCsvDate(value, formatKey) {
+    const text = String(value).trim();
+    if (formatKey === 'YYYY-MM-DD' && /^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date) ? null : formatDateString(date);
+    }
+    const format = CSV_DATE_FORMATS[formatKey];
+    const match = text.match(format.pattern);
+    if (!match) return null;
+    const [year, month, day] = format.order.map(i => parseInt(match[i]));
+    const date = new Date(year, month - 1, day);
+    // Reject impossible dates like 31/02 rather than letting them roll over
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return formatDateString(date);
+}
+
+// Guesses whether a weight column is in kg or lb from its header, falling back to the size of the values
+function detectWeightUnit(header, values) {
+    // Not \b: "_" counts as a word character, so "weight_lbs" would never match
+    if (/(^|[^a-z])(lbs?|pounds?)([^a-z]|$)/i.test(header)) return 'lb';
+    if (/(^|[^a-z])kgs?([^a-z]|$)|kilo/i.test(header)) return 'kg';
+    const numbers = values.map(v => parseFloat(String(v).replace(',', '.'))).filter(n => n > 0).sort((a, b) => a - b);
+    if (numbers.length === 0) return 'kg';
+    return numbers[Math.floor(numbers.length / 2)] > 150 ? 'lb' : 'kg';
+}
+
+// Index of the first header matching one of the aliases, or -1
+function guessCsvColumn(headers, aliases) {
+    return headers.findIndex(header => aliases.some(alias => header.toLowerCase().includes(alias)));
+}
+
+// Works out what importing would do without writing anything. mapping is { date: column, [field]: column } with
+// -1 for unmapped fields. Returns one row per date: { line, date, values, action: 'add' | 'update' | 'same' }, plus
+// the lines that couldn't be read. Rows for the same date are combined, later rows winning.
+function buildCsvImportPreview({ rows, store, mapping, dateFormat, unit, existing }) {
+    const existingByDate = new Map(existing.map(r => [r.date, r]));
+    const byDate = new Map();
+    const errors = [];
+    rows.forEach((row, i) => {
+        const line = i + 2; // +1 for the header, +1 because spreadsheets count from 1
+        const date = parseCsvDate(row[mapping.date] || '', dateFormat);
+        if (!date) {
+            errors.push({ line, message: `Can't read date "${row[mapping.date] || ''}"` });
+            return;
+        }
+        const values = {};
+        CSV_IMPORT_FIELDS[store].forEach(field => {
+            if (mapping[field.key] < 0) return;
+            const raw = String(row[mapping[field.key]] || '').trim().replace(',', '.');
+            if (raw === '') return;
+            let number = parseFloat(raw);
+            if (isNaN(number) || number < 0) {
+                errors.push({ line, message: `${field.label} "${raw}" is not a number` });
+                return;
+            }
+            if (field.key === 'weight' && unit === 'lb') number = number / LB_PER_KG;
+            if (field.key === 'weight') number = Math.round(number * 10) / 10;
+            values[field.key] = number;
+        });
+        if (Object.keys(values).length === 0) return;
+        byDate.set(date, { line, date, values: { ...(byDate.get(date) || {}).values, ...values } });
+    });
+
+    const changes = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)).map(change => {
+        const current = existingByDate.get(change.date);
+        let action = 'add';
+        if (current) {
+            const differs = Object.entries(change.values).some(([key, value]) => current[key] !== value);
+            action = differs ? 'update' : 'same';
+        }
+        return { ...change, action };
+    });
+    return { changes, errors };
+}
+
+// Flattens logged sessions into one CSV row per set (or per exercise in a round-based block)
+function buildSessionCsvRows(sessions) {
+    const rows = [['date', 'week', 'day', 'workout', 'block', 'exercise', 'set', 'weight_kg', 'reps', 'duration_sec', 'completed', 'rpe']];
+    sessions.sort((a, b) => a.date.localeCompare(b.date)).forEach(session => {
+        const base = [session.date, session.week, session.day, session.type];
+        (session.exercises || []).forEach(ex => {
+            if (ex.group) {
+                ex.exercises.forEach(child => {
+                    rows.push([...base, ex.name || ex.group, child.name, `${ex.roundsCompleted} rounds`, child.weight, child.reps ?? '', child.duration ?? '', '', '']);
+                });
+                return;
+            }
+            (ex.sets || []).forEach((set, i) => {
+                rows.push([...base, '', ex.name, i + 1, set.weight, set.reps ?? '', set.duration ?? '', set.completed ? 'yes' : 'no', set.rpe ?? '']);
+            });
+        });
+    });
+    return rows;
+}
+
+// --- Helpers ---
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Saves a generated file through a temporary download link
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// --- UI / Tab Navigation ---
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await openDatabase(); // Open DB on app load
+    await ensureDefaultPlan();
+    await ensureDefaultEnrollment();
+    await ensureDefaultRecipes();
+
+    // Display units; values are converted with fromMetric/toMetric at every input and display point
+    let units = { ...DEFAULT_UNITS, ...(await getSetting('units', {})) };
+
+    const navItems = document.querySelectorAll('.nav-item');
+    const tabContents = document.querySelectorAll('.tab-content');
+
+    function showTab(tabId) {
+        tabContents.forEach(content => {
+            content.classList.remove('active');
+        });
+        document.getElementById(tabId).classList.add('active');
+
+        navItems.forEach(item => {
+            if (item.dataset.tab === tabId) {
+                item.classList.add('active');
+            } else {
+                item.classList.remove('active');
+            }
+        });
+        // Update URL hash for direct linking/bookmarking
+        window.location.hash = tabId;
+        renderContent(tabId); // Render content for the active tab
+    }
+
+    navItems.forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            const tabId = item.dataset.tab;
+            showTab(tabId);
+        });
+    });
+
+    // --- Dashboard Logic ---
+    // The daily inputs and summary work on selectedDate, which defaults to today but can be moved to any past day.
+    let selectedDate = getTodayString();
+    let calendarMonth = parseDateString(selectedDate);
+    calendarMonth.setDate(1);
+
+    const saveDailyDataBtn = document.getElementById('saveDailyData');
+    saveDailyDataBtn.addEventListener('click', async () => {
+        const date = selectedDate;
+        const steps = parseInt(document.getElementById('stepsInput').value) || 0;
+        const water = toMetric('water', parseFloat(document.getElementById('waterInput').value) || 0, units);
+
+        try {
+            // Merge so anything else stored for the day is kept
+            const existingData = await getDailyData(date) || {};
+            await saveDailyData(date, { ...existingData, steps, water });
+            alert('Daily data saved!');
+            renderDashboardData(date); // Refresh dashboard display
+        } catch (error) {
+            alert('Error saving daily data: ' + error);
+        }
+    });
+
+    document.getElementById('saveReadinessBtn').addEventListener('click', async () => {
+        const date = selectedDate;
+        const readiness = {};
+        document.querySelectorAll('[data-readiness]').forEach(input => {
+            const field = READINESS_FIELDS.find(f => f.key === input.dataset.readiness);
+            const value = parseFloat(input.value);
+            if (value >= field.min && value <= field.max) readiness[field.key] = value;
+        });
+        if (Object.keys(readiness).length === 0) {
+            alert('Please fill in at least one check-in value.');
+            return;
+        }
+        try {
+            const existingData = await getDailyData(date) || {};
+            await saveDailyData(date, { ...existingData, readiness });
+            renderDashboardData(date);
+            renderTodayWorkout(); // A low score can make a deload due
+        } catch (error) {
+            alert('Error saving check-in: ' + error);
+        }
+    });
+
+    document.getElementById('deleteDailyData').addEventListener('click', async () => {
+        if (!confirm(`Delete all steps, water, check-in and food diary entries for ${selectedDate}?`)) return;
+        try {
+            await deleteDailyData(selectedDate);
+            for (const entry of await getFoodEntriesByDate(selectedDate)) {
+                await deleteFoodEntry(entry.id);
+            }
+            renderDashboardData(selectedDate);
+        } catch (error) {
+            alert('Error deleting daily data: ' + error);
+        }
+    });
+
+    function selectDate(date) {
+        selectedDate = date;
+        calendarMonth = parseDateString(date);
+        calendarMonth.setDate(1);
+        renderDashboardData(selectedDate);
+    }
+
+    document.getElementById('selectedDateInput').addEventListener('change', event => {
+        if (event.target.value) selectDate(event.target.value);
+    });
+    document.getElementById('prevDayBtn').addEventListener('click', () => selectDate(addDaysToDateString(selectedDate, -1)));
+    document.getElementById('nextDayBtn').addEventListener('click', () => selectDate(addDaysToDateString(selectedDate, 1)));
+    document.getElementById('todayBtn').addEventListener('click', () => selectDate(getTodayString()));
+    document.getElementById('toggleCalendarBtn').addEventListener('click', () => {
+        const calendarView = document.getElementById('calendarView');
+        calendarView.hidden = !calendarView.hidden;
+        if (!calendarView.hidden) renderCalendar();
+    });
+
+    // --- Trackers Logic ---
+    const saveWeightBtn = document.getElementById('saveWeight');
+    saveWeightBtn.addEventListener('click', async () => {
+        const today = getTodayString();
+        const weight = parseFloat(document.getElementById('weightInput').value);
+        if (weight > 0) {
+            try {
+                await saveWeight(today, toMetric('weight', weight, units));
+                alert('Weight saved!');
+                renderWeightHistory();
+            } catch (error) {
+                alert('Error saving weight: ' + error);
+            }
+        } else {
+            alert('Please enter a valid weight.');
+        }
+    });
+
+    const addFoodEntryBtn = document.getElementById('addFoodEntry');
+    addFoodEntryBtn.addEventListener('click', async () => {
+        const date = selectedDate;
+        const meal = document.getElementById('mealSelect').value;
+        const name = document.getElementById('foodNameInput').value.trim();
+        const calories = parseInt(document.getElementById('calorieInput').value) || 0;
+        const protein = parseInt(document.getElementById('proteinInput').value) || 0;
+        const carbs = parseInt(document.getElementById('carbInput').value) || 0;
+        const fat = parseInt(document.getElementById('fatInput').value) || 0;
+
+        if (calories || protein || carbs || fat) {
+            try {
+                await saveFoodEntry({ date, meal, name: name || 'Quick add', calories, protein, carbs, fat, createdAt: new Date().toISOString() });
+                ['foodNameInput', 'calorieInput', 'proteinInput', 'carbInput', 'fatInput'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+                renderDashboardData(date); // Refresh diary and totals
+            } catch (error) {
+                alert('Error saving food entry: ' + error);
+            }
+        } else {
+            alert('Please enter at least one macro value.');
+        }
+    });
+
+
+    // --- Rendering Functions (called when tabs are activated) ---
+
+    async function renderContent(tabId) {
+        switch (tabId) {
+            case 'dashboard':
+                renderDashboardData(selectedDate);
+                renderTodayWorkout();
+                break;
+            case 'schedule':
+                renderWeeklySchedule();
+                break;
+            case 'trackers':
+                renderDashboardData(selectedDate); // Keeps the macro inputs in step with the selected day
+                renderWeightHistory();
+                renderExerciseHistory();
+                // We'll leave macro inputs as direct entry in the tracker tab,
+                // but daily macro summary will be on dashboard
+                break;
+            case 'recipes':
+                renderRecipes();
+                break;
+            case 'plans':
+                renderPlanEditor();
+                renderExerciseLibrary();
+                break;
+            case 'settings':
+                renderUnitSettings();
+                renderProgramSettings();
+                renderOverloadSettings();
+                renderTargetSettings();
+                renderTdeeCalculator();
+                renderDateKeyReview();
+                break;
+        }
+    }
+
+    async function renderDashboardData(date) {
+        const data = await getDailyData(date);
+        const foodEntries = await getFoodEntriesByDate(date);
+        const totals = sumFoodEntries(foodEntries);
+        const isToday = date === getTodayString();
+        const dateLabel = isToday ? 'Today' : parseDateString(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        document.querySelectorAll('.selected-date-label').forEach(label => { label.textContent = dateLabel; });
+        document.getElementById('selectedDateInput').value = date;
+        document.getElementById('deleteDailyData').disabled = !data && foodEntries.length === 0;
+        if (!document.getElementById('calendarView').hidden) renderCalendar();
+
+        renderDailyProgress(date, { ...totals, steps: data ? data.steps || 0 : 0, water: data ? data.water || 0 : 0 });
+
+        // Pre-fill daily inputs if data exists for the day
+        document.getElementById('stepsInput').value = data ? data.steps || '' : '';
+        document.getElementById('waterInput').value = data && data.water ? fromMetric('water', data.water, units) : '';
+
+        renderFoodDiary(foodEntries);
+        renderDailyActivities(data ? data.activities || [] : []);
+        renderReadiness(data ? data.readiness : null);
+    }
+
+    function renderReadiness(readiness) {
+        document.getElementById('readinessInputs').innerHTML = READINESS_FIELDS.map(field => `
+            <label for="readiness-${field.key}">${field.label}:</label>
+            <input type="number" id="readiness-${field.key}" data-readiness="${field.key}" min="${field.min}" max="${field.max}" step="${field.step}"
+                value="${readiness && readiness[field.key] !== undefined ? readiness[field.key] : ''}">`
+        ).join('');
+        const score = getReadinessScore(readiness);
+        document.getElementById('readinessScore').textContent = score === null ? '' : `Readiness score: ${score}/100`;
+    }
+
+    // Activities brought in from GPX/TCX/FIT files
+    function renderDailyActivities(activities) {
+        document.getElementById('dailyActivities').innerHTML = activities.length === 0 ? '' :
+            '<h4>Activities</h4><ul>' + activities.map(activity => `<li>${escapeHtml(formatActivity(activity))}</li>`).join('') + '</ul>';
+    }
+
+    // One progress ring per target, with what's left (or how far over) underneath
+    async function renderDailyProgress(date, values) {
+        const targets = await getTargets(date);
+        const restDay = (await getSetting('targets', {})).restDay && await isRestDay(date);
+        document.getElementById('targetDayType').textContent = restDay ? 'Rest day targets' : '';
+
+        document.getElementById('dailyProgress').innerHTML = TARGET_FIELDS.map(field => {
+            const toUnit = metric => (field.unitKind ? fromMetric(field.unitKind, metric, units) : metric);
+            const value = Math.round(toUnit(values[field.key]) * 10) / 10;
+            const target = toUnit(targets[field.key]);
+            const unit = getTargetUnit(field) ? ` ${getTargetUnit(field)}` : '';
+            const diff = Math.round(Math.abs(target - value) * 10) / 10;
+            let status;
+            if (field.isLimit) {
+                status = value <= target ? `${diff}${unit} left` : `${diff}${unit} over`;
+            } else {
+                status = value < target ? `${diff}${unit} to go` : 'Target reached';
+            }
+            return `<div class="progress-item">
+                ${buildProgressRingSvg(target > 0 ? value / target : 0, field.isLimit && value > target ? 'over' : '')}
+                <strong>${field.label}</strong>
+                <span>${value} / ${target}${unit}</span>
+                <small>${status}</small>
+            </div>`;
+        }).join('');
+    }
+
+    // Entries grouped by meal, each with a delete button, plus per-meal calorie subtotals
+    function renderFoodDiary(foodEntries) {
+        const foodDiaryDiv = document.getElementById('foodDiary');
+        if (foodEntries.length === 0) {
+            foodDiaryDiv.innerHTML = '<p>Nothing logged for this day yet.</p>';
+            return;
+        }
+        foodDiaryDiv.innerHTML = MEAL_SLOTS.map(slot => {
+            const entries = foodEntries.filter(entry => entry.meal === slot.key);
+            if (entries.length === 0) return '';
+            const subtotal = sumFoodEntries(entries);
+            return `<div class="meal-slot">
+                <h4>${slot.label} <span class="meal-total">${subtotal.calories} kcal</span></h4>
+                <ul>${entries.map(entry => `<li>
+                    <span>${escapeHtml(entry.name)}${entry.quickAdd ? ' <em>(daily total)</em>' : ''}: ${entry.calories} kcal, P ${entry.protein}g, C ${entry.carbs}g, F ${entry.fat}g</span>
+                    <button class="delete-food secondary" data-id="${entry.id}">Delete</button>
+                </li>`).join('')}</ul>
+            </div>`;
+        }).join('');
+
+        foodDiaryDiv.querySelectorAll('.delete-food').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await deleteFoodEntry(parseInt(btn.dataset.id));
+                    renderDashboardData(selectedDate);
+                } catch (error) {
+                    alert('Error deleting food entry: ' + error);
+                }
+            });
+        });
+    }
+
+    // Month grid for the date navigator; days with saved daily data are highlighted
+    async function renderCalendar() {
+        const calendarView = document.getElementById('calendarView');
+        const loggedDates = new Set([...(await getAllDailyData()), ...(await getAllFoodEntries())].map(d => d.date));
+        const today = getTodayString();
+        const year = calendarMonth.getFullYear();
+        const month = calendarMonth.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const leadingBlanks = (calendarMonth.getDay() + 6) % 7; // Weeks start on Monday
+
+        let calendarHtml = `<div class="calendar-header">
+            <button id="prevMonthBtn" class="secondary">‹</button>
+            <strong>${calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</strong>
+            <button id="nextMonthBtn" class="secondary">›</button>
+        </div><div class="calendar-grid">`;
+        calendarHtml += ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<span class="calendar-weekday">${d}</span>`).join('');
+        calendarHtml += '<span></span>'.repeat(leadingBlanks);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = formatDateString(new Date(year, month, day));
+            const classes = ['calendar-day'];
+            if (loggedDates.has(date)) classes.push('has-data');
+            if (date === selectedDate) classes.push('selected');
+            if (date === today) classes.push('today');
+            calendarHtml += `<button class="${classes.join(' ')}" data-date="${date}">${day}</button>`;
+        }
+        calendarView.innerHTML = calendarHtml + '</div>';
+
+        calendarView.querySelectorAll('.calendar-day').forEach(btn => {
+            btn.addEventListener('click', () => selectDate(btn.dataset.date));
+        });
+        document.getElementById('prevMonthBtn').addEventListener('click', () => {
+            calendarMonth.setMonth(calendarMonth.getMonth() - 1);
+            renderCalendar();
+        });
+        document.getElementById('nextMonthBtn').addEventListener('click', () => {
+            calendarMonth.setMonth(calendarMonth.getMonth() + 1);
+            renderCalendar();
+        });
+    }
+
+    async function renderWeightHistory() {
+        const weights = await getAllWeights();
+        const targetWeight = await getSetting('targetWeight', null);
+        document.getElementById('targetWeightInput').value = targetWeight ? fromMetric('weight', targetWeight, units) : '';
+        renderWeightChart(weights, targetWeight);
+
+        const weightHistoryDiv = document.getElementById('weightHistory');
+        weightHistoryDiv.innerHTML = '<h4>Weight Log:</h4>';
+        if (weights.length === 0) {
+            weightHistoryDiv.innerHTML += '<p>No weight data yet.</p>';
+            return;
+        }
+        const ul = document.createElement('ul');
+        ul.className = 'weight-log';
+        weights.sort((a, b) => new Date(b.date) - new Date(a.date)).forEach(entry => {
+            const li = document.createElement('li');
+            li.innerHTML = `<span>${entry.date}: ${formatMeasurement('weight', entry.weight, units)}</span>
+                <button class="edit-weight secondary">Edit</button>
+                <button class="delete-weight secondary">Delete</button>`;
+            li.querySelector('.edit-weight').addEventListener('click', () => renderWeightEditRow(li, entry));
+            li.querySelector('.delete-weight').addEventListener('click', async () => {
+                if (!confirm(`Delete the weight logged on ${entry.date}?`)) return;
+                try {
+                    await deleteWeight(entry.date);
+                    renderWeightHistory();
+                } catch (error) {
+                    alert('Error deleting weight: ' + error);
+                }
+            });
+            ul.appendChild(li);
+        });
+        weightHistoryDiv.appendChild(ul);
+    }
+
+    // Swaps a weight log row for inline date/weight inputs
+    function renderWeightEditRow(li, entry) {
+        li.innerHTML = `<input type="date" class="edit-weight-date" value="${entry.date}">
+            <input type="number" class="edit-weight-value" step="0.1" value="${fromMetric('weight', entry.weight, units)}">
+            <button class="save-weight-edit">Save</button>
+            <button class="cancel-weight-edit secondary">Cancel</button>`;
+        li.querySelector('.cancel-weight-edit').addEventListener('click', renderWeightHistory);
+        li.querySelector('.save-weight-edit').addEventListener('click', async () => {
+            const date = li.querySelector('.edit-weight-date').value;
+            const weight = toMetric('weight', parseFloat(li.querySelector('.edit-weight-value').value), units);
+            if (!date || !(weight > 0)) {
+                alert('Please enter a valid date and weight.');
+                return;
+            }
+            const existing = (await getAllWeights()).find(w => w.date === date);
+            if (date !== entry.date && existing && !confirm(`There's already a weight logged on ${date} (${formatMeasurement('weight', existing.weight, units)}). Replace it?`)) return;
+            try {
+                // Weights are keyed by date, so moving an entry means saving the new key and removing the old one
+                await saveWeight(date, weight);
+                if (date !== entry.date) await deleteWeight(entry.date);
+                renderWeightHistory();
+            } catch (error) {
+                alert('Error saving weight: ' + error);
+            }
+        });
+    }
+
+    // Raw weigh-ins plus a 7-entry moving average for the selected range, with an optional goal line and projection
+    function renderWeightChart(weights, targetWeight) {
+        const chartDiv = document.getElementById('weightChart');
+        const projectionDiv = document.getElementById('weightProjection');
+        const sorted = [...weights].sort((a, b) => a.date.localeCompare(b.date));
+        if (sorted.length < 2) {
+            chartDiv.innerHTML = '<p>Log at least two weights to see your trend.</p>';
+            projectionDiv.innerHTML = '';
+            return;
+        }
+
+        // The average is computed over the full history so the start of a short range isn't skewed
+        const averages = movingAverage(sorted.map(w => w.weight), 7);
+        const rangeDays = parseInt(document.getElementById('weightRange').value);
+        const lastDate = parseDateString(sorted[sorted.length - 1].date);
+        const inRange = (w, i) => ({ ...w, average: averages[i] });
+        const visible = sorted.map(inRange).filter(w => !rangeDays || daysBetween(parseDateString(w.date), lastDate) <= rangeDays);
+
+        const toUnit = value => fromMetric('weight', value, units, 2);
+        chartDiv.innerHTML = buildLineChartSvg({
+            series: [
+                { points: visible.map(w => ({ x: parseDateString(w.date), y: toUnit(w.weight) })), className: 'chart-raw', dots: true },
+                { points: visible.map(w => ({ x: parseDateString(w.date), y: toUnit(w.average) })), className: 'chart-average' }
+            ],
+            goal: targetWeight ? toUnit(targetWeight) : null,
+            unit: ` ${getUnitLabel('weight', units)}`
+        }) + '<p class="chart-legend"><span class="legend-raw">● Weigh-ins</span> <span class="legend-average">━ 7-entry average</span></p>';
+
+        if (!targetWeight) {
+            projectionDiv.innerHTML = '<p>Set a target weight to see a projected goal date.</p>';
+            return;
+        }
+        const projection = projectGoalDate(sorted, targetWeight);
+        if (!projection) {
+            projectionDiv.innerHTML = '<p>Not enough recent data to project a goal date yet.</p>';
+            return;
+        }
+        const rate = `${projection.ratePerWeek > 0 ? '+' : ''}${fromMetric('weight', projection.ratePerWeek, units, 2).toFixed(2)} ${getUnitLabel('weight', units)}/week over the last 4 weeks`;
+        const goal = formatMeasurement('weight', targetWeight, units);
+        projectionDiv.innerHTML = projection.date
+            ? `<p><strong>Trend:</strong> ${rate}. At this rate you'll reach ${goal} around <strong>${projection.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</strong>.</p>`
+            : `<p><strong>Trend:</strong> ${rate} - currently moving away from your ${goal} goal.</p>`;
+    }
+
+    document.getElementById('weightRange').addEventListener('change', renderWeightHistory);
+
+    document.getElementById('saveTargetWeight').addEventListener('click', async () => {
+        const target = parseFloat(document.getElementById('targetWeightInput').value);
+        try {
+            await saveSetting('targetWeight', target > 0 ? toMetric('weight', target, units) : null);
+            renderWeightHistory();
+        } catch (error) {
+            alert('Error saving target weight: ' + error);
+        }
+    });
+
+    // --- Recipe Library ---
+    // Recipes live in IndexedDB; macros are always calculated from their ingredients (see calculateRecipeMacros).
+
+    let editingRecipe = null; // Working copy of the recipe open in the editor
+
+    async function renderRecipes() {
+        const recipeListDiv = document.getElementById('recipeList');
+        const fitSummaryDiv = document.getElementById('recipeFitSummary');
+        const allRecipes = await getAllRecipes();
+        recipeListDiv.innerHTML = ''; // Clear previous content
+        fitSummaryDiv.innerHTML = '';
+
+        if (allRecipes.length === 0) {
+            recipeListDiv.innerHTML = '<p>No recipes yet. Add your first one above.</p>';
+            return;
+        }
+
+        const query = document.getElementById('recipeSearch').value;
+        const highProteinOnly = document.getElementById('filterHighProtein').checked;
+        const vegetarianOnly = document.getElementById('filterVegetarian').checked;
+        const maxCalories = parseInt(document.getElementById('filterMaxCalories').value) || 0;
+        const sortBy = document.getElementById('recipeSort').value;
+
+        let entries = allRecipes
+            .map(recipe => ({ recipe, ...calculateRecipeMacros(recipe) }))
+            .filter(({ recipe, perServing }) =>
+                recipeMatchesQuery(recipe, query) &&
+                (!highProteinOnly || perServing.protein >= HIGH_PROTEIN_GRAMS) &&
+                (!vegetarianOnly || recipe.tags.includes('vegetarian')) &&
+                (!maxCalories || perServing.calories <= maxCalories)
+            );
+
+        let remaining = null;
+        if (sortBy === 'fit') {
+            // Compare against what's already logged on the day picked on the dashboard
+            const targets = await getTargets(selectedDate);
+            const totals = sumFoodEntries(await getFoodEntriesByDate(selectedDate));
+            remaining = {};
+            ['calories', 'protein', 'carbs', 'fat'].forEach(key => { remaining[key] = Math.round((targets[key] - totals[key]) * 10) / 10; });
+            fitSummaryDiv.innerHTML = `<p><strong>Left for ${selectedDate}:</strong> ${remaining.calories} kcal, P ${remaining.protein}g, C ${remaining.carbs}g, F ${remaining.fat}g</p>`;
+            entries.forEach(entry => { entry.fitScore = scoreRecipeFit(entry.perServing, remaining, targets); });
+            entries.sort((a, b) => a.fitScore - b.fitScore);
+        } else if (sortBy === 'proteinPerCalorie') {
+            const proteinPerCalorie = entry => (entry.perServing.calories > 0 ? entry.perServing.protein / entry.perServing.calories : 0);
+            entries.sort((a, b) => proteinPerCalorie(b) - proteinPerCalorie(a));
+        } else {
+            entries.sort((a, b) => a.recipe.name.localeCompare(b.recipe.name));
+        }
+
+        if (entries.length === 0) {
+            recipeListDiv.innerHTML = '<p>No recipes match your search.</p>';
+            return;
+        }
+
+        entries.forEach(({ recipe, perServing, uncounted }) => {
+            const proteinPer100Kcal = perServing.calories > 0 ? Math.round(perServing.protein / perServing.calories * 1000) / 10 : 0;
+            const leftAfter = remaining
+                ? `<p class="recipe-fit">After one serving: ${Math.round(remaining.calories - perServing.calories)} kcal, P ${Math.round(remaining.protein - perServing.protein)}g, C ${Math.round(remaining.carbs - perServing.carbs)}g, F ${Math.round(remaining.fat - perServing.fat)}g left</p>`
+                : '';
+            const card = document.createElement('div');
+            card.className = 'recipe-card';
+            card.innerHTML = `
+                <h3>${escapeHtml(recipe.name)}</h3>
+                ${recipe.tags.length > 0 ? `<p class="recipe-tags">${recipe.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</p>` : ''}
+                <p><strong>Macros (per serving):</strong> Protein: ${perServing.protein}g, Carbs: ${perServing.carbs}g, Fat: ${perServing.fat}g, Calories: ${perServing.calories} (${proteinPer100Kcal}g protein per 100 kcal)</p>
+                ${leftAfter}
+                ${uncounted.length > 0 ? `<p class="recipe-uncounted">Not counted: ${uncounted.map(escapeHtml).join('; ')}</p>` : ''}
+                <p><strong>Servings:</strong> ${recipe.servings}</p>
+                <h4>Ingredients:</h4>
+                <ul>${recipe.ingredients.map(ing => `<li>${escapeHtml(formatIngredient(ing, units))}</li>`).join('')}</ul>
+                <h4>Instructions:</h4>
+                <p>${escapeHtml(recipe.instructions)}</p>
+                <div class="button-row">
+                    <button class="log-recipe">I Ate This</button>
+                    <button class="edit-recipe secondary">Edit</button>
+                    <button class="delete-recipe secondary">Delete</button>
+                </div>
+            `;
+            card.querySelector('.log-recipe').addEventListener('click', () => logRecipe(recipe, perServing));
+            card.querySelector('.edit-recipe').addEventListener('click', () => openRecipeEditor(recipe));
+            card.querySelector('.delete-recipe').addEventListener('click', async () => {
+                if (!confirm(`Delete the recipe "${recipe.name}"?`)) return;
+                try {
+                    await deleteRecipe(recipe.id);
+                    renderRecipes();
+                } catch (error) {
+                    alert('Error deleting recipe: ' + error);
+                }
+            });
+            recipeListDiv.appendChild(card);
+        });
+    }
+
+    function openRecipeEditor(recipe) {
+        editingRecipe = recipe
+            ? JSON.parse(JSON.stringify(recipe))
+            : { name: '', servings: 1, tags: [], ingredients: [], instructions: '', createdAt: new Date().toISOString() };
+        document.getElementById('recipeEditor').hidden = false;
+        renderRecipeEditor();
+        document.getElementById('recipeEditor').scrollIntoView();
+    }
+
+    function closeRecipeEditor() {
+        editingRecipe = null;
+        document.getElementById('recipeEditor').hidden = true;
+    }
+
+    function renderRecipeEditor() {
+        const editor = document.getElementById('recipeEditor');
+        const foodOptions = Object.entries(FOOD_TABLE).sort((a, b) => a[1].name.localeCompare(b[1].name));
+        editor.innerHTML = `
+            <h3>${editingRecipe.id ? 'Edit Recipe' : 'New Recipe'}</h3>
+            <label>Name:</label>
+            <input type="text" data-recipe-field="name" value="${escapeHtml(editingRecipe.name)}">
+            <label>Servings:</label>
+            <input type="number" data-recipe-field="servings" min="1" step="1" value="${editingRecipe.servings}">
+            <label>Tags (comma separated):</label>
+            <input type="text" data-recipe-field="tags" value="${escapeHtml(editingRecipe.tags.join(', '))}" placeholder="e.g. vegetarian, breakfast">
+            <h4>Ingredients:</h4>
+            <div class="ingredient-rows">${editingRecipe.ingredients.map((ing, index) => {
+                const amount = toDisplayIngredientAmount(ing, units);
+                return `
+                <div class="ingredient-row" data-index="${index}">
+                    <input type="number" data-ing-field="quantity" step="any" value="${amount.quantity ?? ''}" placeholder="Qty">
+                    <select data-ing-field="unit">${getRecipeUnitOptions(units).map(unit => `<option value="${unit}" ${unit === amount.unit ? 'selected' : ''}>${unit}</option>`).join('')}</select>
+                    <select data-ing-field="food">
+                        <option value="">— Not in food table —</option>
+                        ${foodOptions.map(([key, food]) => `<option value="${key}" ${key === ing.food ? 'selected' : ''}>${escapeHtml(food.name)}</option>`).join('')}
+                    </select>
+                    <input type="text" data-ing-field="note" value="${escapeHtml(ing.note)}" placeholder="Note">
+                    <button class="remove-ingredient secondary" title="Remove ingredient">✕</button>
+                    ${!ing.food && ing.text ? `<small class="ingredient-text">${escapeHtml(ing.text)}</small>` : ''}
+                </div>`;
+            }).join('')}
+            </div>
+            <div class="button-row">
+                <input type="text" id="ingredientTextInput" placeholder="e.g. 2 tbsp peanut butter">
+                <button id="addIngredientTextBtn" class="secondary">+ Ingredient</button>
+            </div>
+            <p id="recipeMacroPreview"></p>
+            <label>Instructions:</label>
+            <textarea data-recipe-field="instructions" rows="4">${escapeHtml(editingRecipe.instructions)}</textarea>
+            <div class="button-row">
+                <button id="saveRecipeBtn">Save Recipe</button>
+                <button id="cancelRecipeBtn" class="secondary">Cancel</button>
+            </div>
+        `;
+
+        editor.querySelectorAll('[data-recipe-field]').forEach(input => {
+            input.addEventListener('input', () => {
+                const field = input.dataset.recipeField;
+                if (field === 'servings') editingRecipe.servings = parseInt(input.value) || 0;
+                else if (field === 'tags') editingRecipe.tags = input.value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+                else editingRecipe[field] = input.value;
+                renderRecipeMacroPreview();
+            });
+        });
+        editor.querySelectorAll('.ingredient-row').forEach(row => {
+            const ingredient = editingRecipe.ingredients[parseInt(row.dataset.index)];
+            row.querySelectorAll('[data-ing-field]').forEach(input => {
+                const update = () => {
+                    const field = input.dataset.ingField;
+                    if (field === 'quantity' || field === 'unit') {
+                        // Amount and unit are read together so oz/lb can be stored as g/kg
+                        const quantity = row.querySelector('[data-ing-field="quantity"]').value;
+                        Object.assign(ingredient, toMetricIngredientAmount(quantity === '' ? null : parseFloat(quantity), row.querySelector('[data-ing-field="unit"]').value));
+                    } else if (field === 'food') {
+                        ingredient.food = input.value || null;
+                    } else {
+                        ingredient[field] = input.value;
+                    }
+                    renderRecipeMacroPreview();
+                };
+                input.addEventListener('input', update);
+                input.addEventListener('change', update);
+            });
+            row.querySelector('.remove-ingredient').addEventListener('click', () => {
+                editingRecipe.ingredients.splice(parseInt(row.dataset.index), 1);
+                renderRecipeEditor();
+            });
+        });
+        document.getElementById('addIngredientTextBtn').addEventListener('click', () => {
+            const text = document.getElementById('ingredientTextInput').value.trim();
+            if (!text) return;
+            const ingredient = parseIngredientText(text);
+            // Keep a blank amount editable even when the line couldn't be read
+            editingRecipe.ingredients.push({ ...ingredient, unit: ingredient.unit || 'g' });
+            renderRecipeEditor();
+        });
+        document.getElementById('saveRecipeBtn').addEventListener('click', async () => {
+            if (!editingRecipe.name.trim()) {
+                alert('Please give the recipe a name.');
+                return;
+            }
+            if (!(editingRecipe.servings > 0)) {
+                alert('Servings must be at least 1.');
+                return;
+            }
+            try {
+                await saveRecipe({ ...editingRecipe, name: editingRecipe.name.trim() });
+                closeRecipeEditor();
+                renderRecipes();
+            } catch (error) {
+                alert('Error saving recipe: ' + error);
+            }
+        });
+        document.getElementById('cancelRecipeBtn').addEventListener('click', closeRecipeEditor);
+        renderRecipeMacroPreview();
+    }
+
+    function renderRecipeMacroPreview() {
+        const { perServing, uncounted } = calculateRecipeMacros(editingRecipe);
+        document.getElementById('recipeMacroPreview').textContent =
+            `Per serving: ${perServing.calories} kcal, P ${perServing.protein}g, C ${perServing.carbs}g, F ${perServing.fat}g` +
+            (uncounted.length > 0 ? ` (${uncounted.length} ingredient(s) not counted)` : '');
+    }
+
+    document.getElementById('newRecipeBtn').addEventListener('click', () => openRecipeEditor(null));
+    ['recipeSearch', 'filterMaxCalories'].forEach(id => document.getElementById(id).addEventListener('input', renderRecipes));
+    ['filterHighProtein', 'filterVegetarian', 'recipeSort'].forEach(id => document.getElementById(id).addEventListener('change', renderRecipes));
+
+    // Adds a recipe to the food diary of the day selected on the dashboard, scaled to the servings eaten
+    async function logRecipe(recipe, perServing) {
+        const answer = prompt(`How many servings of "${recipe.name}" did you eat? (The recipe makes ${recipe.servings})`, '1');
+        if (answer === null) return;
+        const servings = parseFloat(answer);
+        if (!(servings > 0)) {
+            alert('Please enter a number of servings greater than 0.');
+            return;
+        }
+        const meal = getMealForTime(new Date());
+        try {
+            await saveFoodEntry({ date: selectedDate, meal, ...scaleRecipe(recipe, perServing, servings), createdAt: new Date().toISOString() });
+            const mealLabel = MEAL_SLOTS.find(slot => slot.key === meal).label;
+            alert(`Logged ${servings} serving(s) of ${recipe.name} to ${mealLabel} on ${selectedDate}.`);
+            renderDashboardData(selectedDate); // Refresh dashboard totals
+        } catch (error) {
+            alert('Error logging recipe: ' + error);
+        }
+    }
+
+    // --- Workout Plan Integration ---
+    // The active plan and its current enrollment decide which week/day today is (see getProgramState()).
+
+    async function renderTodayWorkout() {
+        const todayWorkoutSummary = document.getElementById('todayWorkoutSummary');
+        const { plan, planErrors, enrollment, week, day, paused, message } = await getProgramState();
+
+        if (message) {
+            todayWorkoutSummary.innerHTML = `<p>${message}</p>`;
+            return;
+        }
+        const deloadHtml = paused ? '' : await renderDeloadBannerHtml(enrollment, week);
+
+        const currentWeekPlan = plan.weeks[`Week ${week}`];
+        if (currentWeekPlan) {
+            // Exercises needing equipment that isn't available today are swapped before anything else sees them,
+            // so the logger, timer and suggestions all use the exercise actually being done
+            const equipment = await getSetting('equipment', Object.keys(EQUIPMENT));
+            const plannedWorkout = currentWeekPlan[`Day ${day}`];
+            const workoutForToday = plannedWorkout && applyEquipmentSubstitutions(plannedWorkout, equipment);
+            if (workoutForToday) {
+                let workoutHtml = `<h3>Today's Workout (Week ${week}, Day ${day})</h3>`;
+                if (paused) {
+                    workoutHtml += '<p class="program-paused">Program paused - resume it in Settings to move on.</p>';
+                }
+                workoutHtml += deloadHtml;
+                workoutHtml += `<h4>${escapeHtml(workoutForToday.type)}</h4>`;
+                workoutHtml += `<p>${escapeHtml(workoutForToday.description)}</p>`;
+                const todaysErrors = planErrors.filter(e => e.location.startsWith(`Week ${week}, Day ${day},`));
+                if (todaysErrors.length > 0) {
+                    workoutHtml += `<p class="plan-warning">⚠ ${todaysErrors.length} problem(s) in today's plan - check the Plans tab.</p>`;
+                }
+                const suggestions = await getOverloadSuggestions(workoutForToday);
+                if (workoutForToday.exercises && workoutForToday.exercises.length > 0) {
+                    workoutHtml += '<h4>Exercises:</h4><ul>';
+                    workoutForToday.exercises.forEach(item => {
+                        workoutHtml += renderPlanItemHtml(item, suggestions);
+                    });
+                    workoutHtml += '</ul>';
+                    workoutHtml += renderEquipmentTodayHtml(equipment);
+
+                    const today = getTodayString();
+                    const loggedSessions = await getWorkoutSessionsByDate(today);
+                    if (loggedSessions.length > 0) {
+                        workoutHtml += `<p class="session-logged">✔ ${loggedSessions.length} session(s) logged today.</p>`;
+                    }
+                    if (!activeSession) {
+                        workoutHtml += '<button id="startWorkoutBtn">Start Workout</button>';
+                    }
+                    if (!activeTimer) {
+                        workoutHtml += '<button id="startTimerBtn" class="secondary">Start Timer</button>';
+                    }
+                }
+                todayWorkoutSummary.innerHTML = workoutHtml;
+                bindDeloadBanner(enrollment, week);
+                bindEquipmentToday();
+                bindExerciseLinks(todayWorkoutSummary);
+
+                const startWorkoutBtn = document.getElementById('startWorkoutBtn');
+                if (startWorkoutBtn) {
+                    startWorkoutBtn.addEventListener('click', () => startWorkoutSession(week, day, workoutForToday, suggestions));
+                }
+                const startTimerBtn = document.getElementById('startTimerBtn');
+                if (startTimerBtn) {
+                    startTimerBtn.addEventListener('click', () => startWorkoutTimer(workoutForToday));
+                }
+            } else {
+                todayWorkoutSummary.innerHTML = `<p>No specific workout planned for Week ${week}, Day ${day}. Likely a rest day or active recovery.</p>`;
+            }
+        } else {
+             todayWorkoutSummary.innerHTML = `<p>No workout data found for Week ${week}.</p>`;
+        }
+    }
+
+    // Notice at the top of today's workout: either that this week is a deload, or that one is due (with accept/decline)
+    async function renderDeloadBannerHtml(enrollment, week) {
+        if ((enrollment.deloadWeeks || []).includes(week)) {
+            return `<div class="deload-banner">
+                <p><strong>Deload week.</strong> Fewer sets and lighter loads to let your body recover.</p>
+                <button id="undoDeloadBtn" class="secondary">Back to the Normal Week</button>
+            </div>`;
+        }
+        if ((enrollment.declinedDeloadWeeks || []).includes(week)) return '';
+        const { due, reasons } = assessDeload({
+            weeksSinceDeload: getWeeksSinceDeload(enrollment, week),
+            dailyData: await getAllDailyData(),
+            sessions: await getAllWorkoutSessions(),
+            today: getTodayString()
+        });
+        if (!due) return '';
+        return `<div class="deload-banner">
+            <p><strong>A deload week looks due:</strong> ${escapeHtml(reasons.join('; '))}.</p>
+            <p>Switch Week ${week} to a reduced-volume version (about ${Math.round(DELOAD_VOLUME_FACTOR * 100)}% of the sets, lighter weights)?</p>
+            <div class="button-row">
+                <button id="acceptDeloadBtn">Deload This Week</button>
+                <button id="declineDeloadBtn" class="secondary">Keep Training</button>
+            </div>
+        </div>`;
+    }
+
+    function bindDeloadBanner(enrollment, week) {
+        const updateEnrollment = async changes => {
+            try {
+                await saveEnrollment({ ...enrollment, ...changes });
+                renderTodayWorkout();
+            } catch (error) {
+                alert('Error updating program: ' + error);
+            }
+        };
+        const deloadWeeks = enrollment.deloadWeeks || [];
+        const acceptBtn = document.getElementById('acceptDeloadBtn');
+        if (acceptBtn) acceptBtn.addEventListener('click', () => updateEnrollment({ deloadWeeks: [...deloadWeeks, week] }));
+        const declineBtn = document.getElementById('declineDeloadBtn');
+        if (declineBtn) {
+            declineBtn.addEventListener('click', () => updateEnrollment({ declinedDeloadWeeks: [...(enrollment.declinedDeloadWeeks || []), week] }));
+        }
+        const undoBtn = document.getElementById('undoDeloadBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => updateEnrollment({
+                deloadWeeks: deloadWeeks.filter(w => w !== week),
+                declinedDeloadWeeks: [...(enrollment.declinedDeloadWeeks || []), week]
+            }));
+        }
+    }
+
+    // List item for an exercise, or for a grouped block with its exercises nested underneath.
+    // suggestions (from getOverloadSuggestions) adds the next target under exercises that have one.
+    function renderPlanItemHtml(item, suggestions = new Map()) {
+        if (item.group) {
+            return `<li class="exercise-group"><strong>${escapeHtml(getGroupLabel(item))}</strong> - ${escapeHtml(formatGroup(item))}${item.notes ? ` (${escapeHtml(item.notes)})` : ''}
+                <ul>${item.exercises.map(child => renderPlanItemHtml(child, suggestions)).join('')}</ul></li>`;
+        }
+        const suggestion = suggestions.get(getExerciseKey(item.name));
+        let equipmentNote = '';
+        if (item.substitutedFor) {
+            equipmentNote = `<small class="exercise-substitution">Instead of ${escapeHtml(item.substitutedFor)} (no ${escapeHtml(item.missingEquipment.join(', ').toLowerCase())} today)</small>`;
+        } else if (item.missingEquipment) {
+            equipmentNote = `<small class="plan-warning">Needs ${escapeHtml(item.missingEquipment.join(', ').toLowerCase())}</small>`;
+        }
+        return `<li><a href="#trackers" class="exercise-link" data-exercise="${escapeHtml(item.name)}"><strong>${escapeHtml(item.name)}</strong></a>: ${escapeHtml(formatPrescription(item))}${item.notes ? ` (${escapeHtml(item.notes)})` : ''}
+            ${equipmentNote}${suggestion ? renderSuggestionHtml(suggestion) : ''}</li>`;
+    }
+
+    // Checklist under today's exercises; unticking something swaps the exercises that need it
+    function renderEquipmentTodayHtml(equipment) {
+        const missing = Object.keys(EQUIPMENT).filter(key => !equipment.includes(key)).length;
+        return `<details class="equipment-today">
+            <summary>Equipment I have today${missing > 0 ? ` (${missing} missing)` : ''}</summary>
+            ${Object.entries(EQUIPMENT).map(([key, label]) =>
+                `<label><input type="checkbox" data-equipment="${key}" ${equipment.includes(key) ? 'checked' : ''}> ${label}</label>`).join('')}
+        </details>`;
+    }
+
+    function bindEquipmentToday() {
+        const checkboxes = document.querySelectorAll('#todayWorkoutSummary [data-equipment]');
+        checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', async () => {
+                const equipment = Array.from(checkboxes).filter(c => c.checked).map(c => c.dataset.equipment);
+                try {
+                    await saveSetting('equipment', equipment);
+                    await renderTodayWorkout();
+                    const details = document.querySelector('#todayWorkoutSummary .equipment-today');
+                    if (details) details.open = true;
+                } catch (error) {
+                    alert('Error saving equipment: ' + error);
+                }
+            });
+        });
+    }
+
+    // Next-session targets for every rep-based exercise in a workout, keyed by getExerciseKey(name)
+    async function getOverloadSuggestions(workout) {
+        const suggestions = new Map();
+        // Deload weeks are meant to be lighter, so they neither get suggestions nor count as the last performance
+        const exercises = (workout.exercises || []).flatMap(item => (item.group ? item.exercises : [item]));
+        if (exercises.length === 0 || workout.deload) return suggestions;
+        const sessions = (await getAllWorkoutSessions()).filter(session => !session.deload);
+        const settings = { ...DEFAULT_OVERLOAD_SETTINGS, ...(await getSetting('overload', {})) };
+        exercises.forEach(exercise => {
+            const suggestion = suggestNextLoad(exercise.prescription, getExerciseHistory(sessions, exercise.name), settings);
+            if (suggestion) suggestions.set(getExerciseKey(exercise.name), suggestion);
+        });
+        return suggestions;
+    }
+
+    function renderSuggestionHtml(suggestion) {
+        const weight = value => (value > 0 ? `${formatMeasurement('weight', value, units)} x ` : '');
+        return `<div class="overload-suggestion">
+            <span>Next: <strong>${weight(suggestion.weight)}${suggestion.reps} reps</strong></span>
+            <small>Last: ${weight(suggestion.last.weight)}${suggestion.last.reps.join(', ')} - ${escapeHtml(suggestion.reason)}</small>
+        </div>`;
+    }
+
+    // --- Schedule & Adherence ---
+    // The current week's days, a detail panel for marking the selected day, streaks, and month and
+    // program-wide calendars colored by how each planned day went (see buildAdherence()).
+
+    let selectedScheduleDate = null;
+    let adherenceMonth = null;
+
+    async function renderWeeklySchedule() {
+        const weeklyScheduleDisplay = document.getElementById('weeklyScheduleDisplay');
+        const adherenceViews = ['adherenceSummary', 'scheduleDayDetail', 'scheduleChanges', 'adherenceCalendar', 'programAdherence'].map(id => document.getElementById(id));
+        weeklyScheduleDisplay.innerHTML = ''; // Clear previous content
+        adherenceViews.forEach(view => { view.innerHTML = ''; });
+
+        const { plan, enrollment, planLength, overrides, week: currentWeekNum, unplanned, message } = await getProgramState();
+
+        if (!enrollment) {
+            weeklyScheduleDisplay.innerHTML = `<p>${message}</p>`;
+            return;
+        }
+
+        const today = getTodayString();
+        const adherence = buildAdherence(getProgramDays(plan, enrollment, planLength, overrides), await getAllWorkoutStatuses(), await getAllWorkoutSessions(), today);
+        // Before the start or after the end there's no current week, so show the nearest one
+        const displayWeek = Math.min(Math.max(currentWeekNum, 1), planLength);
+        const weekDays = adherence.days.filter(day => day.week === displayWeek);
+        if (!selectedScheduleDate) selectedScheduleDate = message && !unplanned && weekDays.length > 0 ? weekDays[0].date : today;
+        if (!adherenceMonth) {
+            adherenceMonth = parseDateString(selectedScheduleDate);
+            adherenceMonth.setDate(1);
+        }
+
+        if (message) {
+            weeklyScheduleDisplay.innerHTML = `<p>${message}</p>`;
+        }
+        weekDays.forEach(programDay => {
+            const dayDiv = document.createElement('div');
+            const dateString = parseDateString(programDay.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+            const workout = programDay.workout;
+
+            dayDiv.innerHTML = `<strong>Day ${programDay.day} (${dateString}):</strong> ${workout ? escapeHtml(workout.type) : 'Rest/Active Recovery'}
+                ${renderAdherenceBadgeHtml(programDay.status)}`;
+            if (programDay.date === today) {
+                dayDiv.classList.add('current-day');
+            }
+            if (programDay.date === selectedScheduleDate) {
+                dayDiv.classList.add('selected-day');
+            }
+            dayDiv.addEventListener('click', () => selectScheduleDate(programDay.date));
+            // Drag a day onto another to move it there (swapping with whatever was planned)
+            dayDiv.draggable = true;
+            dayDiv.addEventListener('dragstart', event => event.dataTransfer.setData('text/plain', programDay.date));
+            dayDiv.addEventListener('dragover', event => event.preventDefault());
+            dayDiv.addEventListener('drop', event => {
+                event.preventDefault();
+                rescheduleWorkout(event.dataTransfer.getData('text/plain'), programDay.date);
+            });
+            weeklyScheduleDisplay.appendChild(dayDiv);
+        });
+
+        renderAdherenceSummary(adherence);
+        renderScheduleChanges(enrollment, overrides);
+        renderScheduleDayDetail(adherence.days.find(day => day.date === selectedScheduleDate), today);
+        renderAdherenceCalendar(adherence.days, today);
+        renderProgramAdherence(adherence);
+    }
+
+    function selectScheduleDate(date) {
+        selectedScheduleDate = date;
+        adherenceMonth = parseDateString(date);
+        adherenceMonth.setDate(1);
+        renderWeeklySchedule();
+    }
+
+    // Moves the plan day on `from` to `to`; a workout already on `to` is swapped onto `from` after confirming
+    async function rescheduleWorkout(from, to) {
+        if (!from || !to || from === to) return;
+        const { plan, enrollment, planLength, overrides } = await getProgramState();
+        if (!enrollment) return;
+        const target = getProgramDays(plan, enrollment, planLength, overrides).find(day => day.date === to);
+        if (target && target.isTraining && !confirm(`${to} already has ${target.workout.type}. Swap the two days?`)) return;
+        try {
+            await saveScheduleOverrides(buildMoveOverrides(enrollment, planLength, overrides, from, to));
+            selectScheduleDate(to);
+        } catch (error) {
+            alert('Error rescheduling workout: ' + error);
+        }
+    }
+
+    async function shiftProgram(from, days) {
+        if (!Number.isInteger(days) || days < 1) {
+            alert('Enter a whole number of days to shift by.');
+            return;
+        }
+        const { enrollment } = await getProgramState();
+        if (!enrollment) return;
+        try {
+            await saveScheduleOverrides([{ type: 'shift', enrollmentId: enrollment.id, date: from, days, createdAt: new Date().toISOString() }]);
+            selectScheduleDate(addDaysToDateString(from, days));
+        } catch (error) {
+            alert('Error shifting program: ' + error);
+        }
+    }
+
+    // The current run's moves, swaps and shifts, newest first, each with an undo button
+    function renderScheduleChanges(enrollment, overrides) {
+        const changesDiv = document.getElementById('scheduleChanges');
+        const groups = {};
+        overrides.filter(o => isEnrollmentOverride(enrollment, o)).forEach(o => { (groups[o.createdAt] = groups[o.createdAt] || []).push(o); });
+        const describe = records => {
+            const [to, from] = records; // In the order buildMoveOverrides() returns them
+            if (to.type === 'shift') return `Pushed the program back ${to.days} day(s) from ${to.date}`;
+            return from ? `Moved ${from.date} to ${to.date}` : `Changed ${to.date}`;
+        };
+        const createdAts = Object.keys(groups).sort().reverse();
+        if (createdAts.length === 0) {
+            changesDiv.innerHTML = '';
+            return;
+        }
+        changesDiv.innerHTML = '<h4>Schedule Changes</h4><ul>' + createdAts.map(createdAt =>
+            `<li>${describe(groups[createdAt])} <button class="secondary" data-undo-change="${createdAt}">Undo</button></li>`
+        ).join('') + '</ul>';
+        changesDiv.querySelectorAll('[data-undo-change]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await deleteScheduleOverrides(groups[btn.dataset.undoChange].map(o => o.id));
+                    renderWeeklySchedule();
+                } catch (error) {
+                    alert('Error undoing schedule change: ' + error);
+                }
+            });
+        });
+    }
+
+    function renderAdherenceBadgeHtml(status) {
+        return `<span class="adherence-badge adherence-${status}">${getAdherenceLabel(status)}</span>`;
+    }
+
+    function renderAdherenceSummary(adherence) {
+        const plural = count => `${count} workout${count === 1 ? '' : 's'}`;
+        document.getElementById('adherenceSummary').innerHTML = `
+            <div class="adherence-stat"><span>Current streak</span><strong>${plural(adherence.currentStreak)}</strong></div>
+            <div class="adherence-stat"><span>Longest streak</span><strong>${plural(adherence.longestStreak)}</strong></div>
+            <div class="adherence-stat"><span>Completion</span><strong>${adherence.percent === null ? '–' : adherence.percent + '%'}</strong></div>`;
+    }
+
+    // Workout details for the selected day plus the controls to mark how it went
+    function renderScheduleDayDetail(programDay, today) {
+        const detail = document.getElementById('scheduleDayDetail');
+        if (!programDay) {
+            detail.innerHTML = '<p>Nothing is planned on that day.</p>';
+            return;
+        }
+        const workout = programDay.workout;
+        const dateString = parseDateString(programDay.date).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+
+        let detailHtml = `<h3>Week ${programDay.week}, Day ${programDay.day} (${dateString})</h3>`;
+        if (workout) {
+            detailHtml += `<p><strong>${escapeHtml(workout.type)}</strong>${workout.description ? ': ' + escapeHtml(workout.description) : ''}</p>
+                <ul>${workout.exercises.map(item => renderPlanItemHtml(item)).join('')}</ul>`;
+        } else {
+            detailHtml += '<p>Rest or active recovery.</p>';
+        }
+        detailHtml += `<p>Status: ${renderAdherenceBadgeHtml(programDay.status)}${!programDay.manual && WORKOUT_STATUSES[programDay.status] ? ' <small>(from your logged sessions)</small>' : ''}</p>`;
+
+        if (programDay.date > today) {
+            detailHtml += '<p class="setting-hint">You can mark this day once it comes around.</p>';
+        } else {
+            const marked = programDay.manual ? programDay.status : '';
+            detailHtml += `<div class="adherence-actions">
+                    ${Object.entries(WORKOUT_STATUSES).map(([key, status]) => `<button class="${key === marked ? '' : 'secondary'}" data-mark-status="${key}">${status.label}</button>`).join('')}
+                </div>
+                <label for="adherenceReasonInput">Reason (optional):</label>
+                <input type="text" id="adherenceReasonInput" placeholder="e.g. travelling, sore knee" value="${escapeHtml(programDay.reason)}">
+                ${programDay.manual ? '<button id="clearAdherenceBtn" class="secondary">Clear mark</button>' : ''}`;
+        }
+        detailHtml += `<h4>Reschedule</h4>
+            <label for="rescheduleDateInput">Move this day to:</label>
+            <input type="date" id="rescheduleDateInput" value="${addDaysToDateString(programDay.date, 1)}">
+            <button id="rescheduleBtn" class="secondary">Move</button>
+            <label for="shiftDaysInput">Push this day and the rest of the program back by (days):</label>
+            <input type="number" id="shiftDaysInput" min="1" step="1" value="1">
+            <button id="shiftProgramBtn" class="secondary">Shift Program</button>`;
+        detail.innerHTML = detailHtml;
+        bindExerciseLinks(detail);
+
+        document.getElementById('rescheduleBtn').addEventListener('click', () => {
+            rescheduleWorkout(programDay.date, document.getElementById('rescheduleDateInput').value);
+        });
+        document.getElementById('shiftProgramBtn').addEventListener('click', () => {
+            shiftProgram(programDay.date, parseInt(document.getElementById('shiftDaysInput').value));
+        });
+
+        detail.querySelectorAll('[data-mark-status]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await saveWorkoutStatus({
+                        date: programDay.date,
+                        week: programDay.week,
+                        day: programDay.day,
+                        status: btn.dataset.markStatus,
+                        reason: document.getElementById('adherenceReasonInput').value.trim(),
+                        updatedAt: new Date().toISOString()
+                    });
+                    renderWeeklySchedule();
+                } catch (error) {
+                    alert('Error saving workout status: ' + error);
+                }
+            });
+        });
+        const clearBtn = document.getElementById('clearAdherenceBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', async () => {
+                try {
+                    await deleteWorkoutStatus(programDay.date);
+                    renderWeeklySchedule();
+                } catch (error) {
+                    alert('Error clearing workout status: ' + error);
+                }
+            });
+        }
+    }
+
+    // Month grid like the dashboard calendar, with each program day colored by its status
+    function renderAdherenceCalendar(programDays, today) {
+        const calendarView = document.getElementById('adherenceCalendar');
+        const byDate = new Map(programDays.map(day => [day.date, day]));
+        const year = adherenceMonth.getFullYear();
+        const month = adherenceMonth.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const leadingBlanks = (adherenceMonth.getDay() + 6) % 7; // Weeks start on Monday
+
+        let calendarHtml = `<div class="calendar-header">
+            <button id="prevAdherenceMonthBtn" class="secondary">‹</button>
+            <strong>${adherenceMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</strong>
+            <button id="nextAdherenceMonthBtn" class="secondary">›</button>
+        </div><div class="calendar-grid">`;
+        calendarHtml += ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<span class="calendar-weekday">${d}</span>`).join('');
+        calendarHtml += '<span></span>'.repeat(leadingBlanks);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = formatDateString(new Date(year, month, day));
+            const programDay = byDate.get(date);
+            const classes = ['calendar-day'];
+            if (programDay) classes.push(`adherence-${programDay.status}`);
+            if (date === selectedScheduleDate) classes.push('selected');
+            if (date === today) classes.push('today');
+            calendarHtml += programDay
+                ? `<button class="${classes.join(' ')}" data-date="${date}" title="${getAdherenceLabel(programDay.status)}">${day}</button>`
+                : `<span class="${classes.join(' ')}">${day}</span>`;
+        }
+        calendarView.innerHTML = calendarHtml + '</div>';
+
+        calendarView.querySelectorAll('button.calendar-day').forEach(btn => {
+            btn.addEventListener('click', () => selectScheduleDate(btn.dataset.date));
+        });
+        document.getElementById('prevAdherenceMonthBtn').addEventListener('click', () => {
+            adherenceMonth.setMonth(adherenceMonth.getMonth() - 1);
+            renderAdherenceCalendar(programDays, today);
+        });
+        document.getElementById('nextAdherenceMonthBtn').addEventListener('click', () => {
+            adherenceMonth.setMonth(adherenceMonth.getMonth() + 1);
+            renderAdherenceCalendar(programDays, today);
+        });
+    }
+
+    // One row per program week: a colored cell per day and that week's completion percentage
+    function renderProgramAdherence(adherence) {
+        const programView = document.getElementById('programAdherence');
+        programView.innerHTML = adherence.weeks.map(({ week, percent }) => {
+            const cells = adherence.days.filter(day => day.week === week).map(day =>
+                `<button class="program-day adherence-${day.status}" data-date="${day.date}" title="Day ${day.day}: ${getAdherenceLabel(day.status)}"></button>`).join('');
+            return `<div class="program-week">
+                <span class="program-week-label">Week ${week}</span>
+                <span class="program-week-days">${cells}</span>
+                <span class="program-week-percent">${percent === null ? '' : percent + '%'}</span>
+            </div>`;
+        }).join('');
+
+        programView.querySelectorAll('.program-day').forEach(btn => {
+            btn.addEventListener('click', () => selectScheduleDate(btn.dataset.date));
+        });
+    }
+
+    // --- Workout Session Logging ---
+    // Walks through today's exercises one at a time, recording what was actually lifted for every set.
+    // A grouped block (circuit, complex, ...) is one step, logged as rounds completed plus the load/reps used.
+
+    let activeSession = null;
+
+    // Timed holds are logged in seconds, everything else in reps
+    function getLoggedValueField(prescription) {
+        return prescription.type === 'time' ? 'duration' : 'reps';
+    }
+
+    // Prefills reps/seconds when the plan asks for one exact number
+    function getPlannedValue(prescription) {
+        return (prescription.type === 'reps' || prescription.type === 'time') && prescription.min === prescription.max ? prescription.min : '';
+    }
+
+    // suggestions are the progressive overload targets shown as placeholders in the set inputs
+    function startWorkoutSession(week, day, workout, suggestions = new Map()) {
+        activeSession = {
+            date: getTodayString(),
+            week,
+            day,
+            type: workout.type,
+            ...(workout.deload ? { deload: true } : {}),
+            startedAt: new Date().toISOString(),
+            currentIndex: 0,
+            exercises: workout.exercises.map(ex => {
+                if (ex.group) {
+                    return {
+                        group: ex.group,
+                        name: ex.name,
+                        planned: formatGroup(ex),
+                        roundsPlanned: ex.rounds,
+                        roundsCompleted: '',
+                        exercises: ex.exercises.map(child => ({
+                            name: child.name,
+                            prescription: child.prescription,
+                            planned: formatPrescription(child),
+                            suggested: suggestions.get(getExerciseKey(child.name)) || null,
+                            weight: '',
+                            [getLoggedValueField(child.prescription)]: getPlannedValue(child.prescription)
+                        }))
+                    };
+                }
+                const setCount = ex.sets || 1;
+                const field = getLoggedValueField(ex.prescription);
+                return {
+                    name: ex.name,
+                    prescription: ex.prescription,
+                    planned: formatPrescription(ex),
+                    suggested: suggestions.get(getExerciseKey(ex.name)) || null,
+                    sets: Array.from({ length: setCount }, () => ({ weight: '', [field]: getPlannedValue(ex.prescription), completed: false }))
+                };
+            })
+        };
+        document.getElementById('startWorkoutBtn').remove();
+        renderWorkoutSession();
+    }
+
+    // Weights are kept in kg while the session is in progress, so changing units mid-workout is harmless
+    function readSessionInput(input) {
+        if (input.dataset.field !== 'weight' || input.value === '') return input.value;
+        return toMetric('weight', parseFloat(input.value) || 0, units);
+    }
+
+    function renderWorkoutSession() {
+        const sessionDiv = document.getElementById('workoutSession');
+        if (!activeSession) {
+            sessionDiv.innerHTML = '';
+            return;
+        }
+
+        const index = activeSession.currentIndex;
+        const exercise = activeSession.exercises[index];
+        const isLast = index === activeSession.exercises.length - 1;
+
+        let sessionHtml = `<h3>Exercise ${index + 1} of ${activeSession.exercises.length}</h3>`;
+        sessionHtml += `<h4>${escapeHtml(exercise.group ? getGroupLabel(exercise) : exercise.name)}</h4>`;
+        sessionHtml += `<p>Planned: ${escapeHtml(exercise.planned)}</p>`;
+        if (exercise.suggested) sessionHtml += renderSuggestionHtml(exercise.suggested);
+        // Suggested weight/reps go in as placeholders so nothing is logged that wasn't actually done
+        const weightPlaceholder = entry => (entry.suggested && entry.suggested.weight > 0 ? fromMetric('weight', entry.suggested.weight, units) : '');
+        if (exercise.group) {
+            sessionHtml += `<label for="roundsCompletedInput">Rounds completed:</label>
+                <input type="number" min="0" id="roundsCompletedInput" value="${exercise.roundsCompleted}">`;
+            sessionHtml += `<table class="set-table"><tr><th>Exercise</th><th>Weight (${getUnitLabel('weight', units)})</th><th>Reps / Sec</th></tr>`;
+            exercise.exercises.forEach((child, i) => {
+                const field = getLoggedValueField(child.prescription);
+                sessionHtml += `<tr>
+                    <td title="${escapeHtml(child.planned)}">${escapeHtml(child.name)}</td>
+                    <td><input type="number" step="0.5" min="0" data-child="${i}" data-field="weight" value="${child.weight === '' ? '' : fromMetric('weight', child.weight, units)}" placeholder="${weightPlaceholder(child)}"></td>
+                    <td><input type="number" min="0" data-child="${i}" data-field="${field}" value="${child[field]}" placeholder="${child.suggested ? child.suggested.reps : escapeHtml(child.planned)}"></td>
+                </tr>`;
+            });
+            sessionHtml += '</table>';
+        } else {
+            const isTimed = exercise.prescription.type === 'time';
+            const valueField = getLoggedValueField(exercise.prescription);
+            sessionHtml += `<table class="set-table"><tr><th>Set</th><th>Weight (${getUnitLabel('weight', units)})</th><th>${isTimed ? 'Seconds' : 'Reps'}</th>${isTimed ? '' : '<th>RPE</th>'}<th>Done</th></tr>`;
+            exercise.sets.forEach((set, i) => {
+                sessionHtml += `<tr>
+                    <td>${i + 1}</td>
+                    <td><input type="number" step="0.5" min="0" data-set="${i}" data-field="weight" value="${set.weight === '' ? '' : fromMetric('weight', set.weight, units)}" placeholder="${weightPlaceholder(exercise)}"></td>
+                    <td><input type="number" min="0" data-set="${i}" data-field="${valueField}" value="${set[valueField]}" placeholder="${exercise.suggested ? exercise.suggested.reps : ''}"></td>
+                    ${isTimed ? '' : `<td><input type="number" min="1" max="10" step="0.5" data-set="${i}" data-field="rpe" value="${set.rpe ?? ''}"></td>`}
+                    <td><input type="checkbox" data-set="${i}" data-field="completed" ${set.completed ? 'checked' : ''}></td>
+                </tr>`;
+            });
+            sessionHtml += '</table>';
+            sessionHtml += '<button id="addSetBtn" class="secondary">+ Add Set</button>';
+        }
+        sessionHtml += '<div class="session-controls">';
+        sessionHtml += `<button id="prevExerciseBtn" ${index === 0 ? 'disabled' : ''}>Previous</button>`;
+        sessionHtml += isLast ? '<button id="finishWorkoutBtn">Finish & Save</button>' : '<button id="nextExerciseBtn">Next</button>';
+        sessionHtml += '</div>';
+        sessionHtml += '<button id="cancelWorkoutBtn" class="secondary">Discard Workout</button>';
+        sessionDiv.innerHTML = sessionHtml;
+
+        if (exercise.group) {
+            document.getElementById('roundsCompletedInput').addEventListener('change', event => {
+                exercise.roundsCompleted = event.target.value;
+            });
+            sessionDiv.querySelectorAll('.set-table input').forEach(input => {
+                input.addEventListener('change', () => {
+                    exercise.exercises[input.dataset.child][input.dataset.field] = readSessionInput(input);
+                });
+            });
+        } else {
+            sessionDiv.querySelectorAll('.set-table input').forEach(input => {
+                input.addEventListener('change', () => {
+                    const set = exercise.sets[input.dataset.set];
+                    if (input.dataset.field === 'completed') {
+                        set.completed = input.checked;
+                    } else {
+                        set[input.dataset.field] = readSessionInput(input);
+                    }
+                });
+            });
+            document.getElementById('addSetBtn').addEventListener('click', () => {
+                const lastSet = exercise.sets[exercise.sets.length - 1];
+                const valueField = getLoggedValueField(exercise.prescription);
+                exercise.sets.push({ ...(lastSet || { weight: '', [valueField]: '' }), completed: false });
+                renderWorkoutSession();
+            });
+        }
+        document.getElementById('prevExerciseBtn').addEventListener('click', () => {
+            activeSession.currentIndex--;
+            renderWorkoutSession();
+        });
+        if (isLast) {
+            document.getElementById('finishWorkoutBtn').addEventListener('click', finishWorkoutSession);
+        } else {
+            document.getElementById('nextExerciseBtn').addEventListener('click', () => {
+                activeSession.currentIndex++;
+                renderWorkoutSession();
+            });
+        }
+        document.getElementById('cancelWorkoutBtn').addEventListener('click', () => {
+            if (confirm('Discard this workout? Nothing will be saved.')) {
+                activeSession = null;
+                renderWorkoutSession();
+                renderTodayWorkout();
+            }
+        });
+    }
+
+    async function finishWorkoutSession() {
+        const { currentIndex, ...session } = activeSession;
+        session.finishedAt = new Date().toISOString();
+        const toLoggedValue = entry => (entry.duration !== undefined
+            ? { duration: parseInt(entry.duration) || 0 }
+            : { reps: parseInt(entry.reps) || 0 });
+        session.exercises = session.exercises.map(ex => {
+            if (ex.group) {
+                return {
+                    group: ex.group,
+                    name: ex.name,
+                    planned: ex.planned,
+                    roundsPlanned: ex.roundsPlanned,
+                    roundsCompleted: parseInt(ex.roundsCompleted) || 0,
+                    exercises: ex.exercises.map(child => ({
+                        name: child.name,
+                        prescription: child.prescription,
+                        planned: child.planned,
+                        weight: parseFloat(child.weight) || 0,
+                        ...toLoggedValue(child)
+                    }))
+                };
+            }
+            return {
+                name: ex.name,
+                prescription: ex.prescription,
+                planned: ex.planned,
+                sets: ex.sets.map(set => ({
+                    weight: parseFloat(set.weight) || 0,
+                    ...toLoggedValue(set),
+                    ...(parseFloat(set.rpe) > 0 ? { rpe: parseFloat(set.rpe) } : {}),
+                    completed: set.completed
+                }))
+            };
+        });
+
+        try {
+            const newRecords = findNewRecords(await getAllWorkoutSessions(), session);
+            await saveWorkoutSession(session);
+            activeSession = null;
+            alert(newRecords.length > 0
+                ? `Workout saved!\n\n🏆 New personal records:\n${newRecords.map(record => `${record.name} - ${getRecordLabel(record.type, record.name)}: ${formatRecordValue(record)}`).join('\n')}`
+                : 'Workout saved!');
+            renderWorkoutSession();
+            renderTodayWorkout();
+        } catch (error) {
+            alert('Error saving workout: ' + error);
+        }
+    }
+
+    // --- Exercise History ---
+    // Every logged session of one exercise with its personal records. Tapping an exercise name in today's
+    // workout or the schedule opens it here.
+
+    let historyExerciseName = null;
+
+    function bindExerciseLinks(container) {
+        container.querySelectorAll('.exercise-link').forEach(link => {
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                historyExerciseName = link.dataset.exercise;
+                showTab('trackers');
+                document.getElementById('exerciseHistorySection').scrollIntoView();
+            });
+        });
+    }
+
+    // record is { type, value, weight } as in getPersonalRecords() / findNewRecords()
+    function formatRecordValue(record) {
+        if (record.type === 'maxDuration') return formatDuration(record.value);
+        if (record.type === 'repsAtWeight') return `${record.value} reps at ${record.weight > 0 ? formatMeasurement('weight', record.weight, units) : 'bodyweight'}`;
+        return formatMeasurement('weight', record.value, units);
+    }
+
+    function formatLoggedSets(sets) {
+        return sets.filter(set => set.completed).map(set => {
+            if (set.duration > 0) return formatDuration(set.duration);
+            return set.weight > 0 ? `${formatMeasurement('weight', set.weight, units)} x ${set.reps}` : `${set.reps} reps`;
+        }).join(', ');
+    }
+
+    async function renderExerciseHistory() {
+        const select = document.getElementById('exerciseHistorySelect');
+        const recordsDiv = document.getElementById('exerciseRecords');
+        const chartDiv = document.getElementById('exerciseHistoryChart');
+        const listDiv = document.getElementById('exerciseSessionList');
+        const sessions = await getAllWorkoutSessions();
+
+        // One entry per exercise, under the name it was last logged with
+        const names = new Map();
+        [...sessions].sort((a, b) => (a.startedAt || a.date).localeCompare(b.startedAt || b.date)).forEach(session => {
+            (session.exercises || []).forEach(ex => (ex.group ? ex.exercises : [ex]).forEach(item => names.set(getExerciseKey(item.name), item.name)));
+        });
+        if (historyExerciseName && !names.has(getExerciseKey(historyExerciseName))) {
+            names.set(getExerciseKey(historyExerciseName), historyExerciseName);
+        }
+        if (names.size === 0) {
+            select.innerHTML = '';
+            recordsDiv.innerHTML = '<p>Log a workout to see your exercise history.</p>';
+            chartDiv.innerHTML = '';
+            listDiv.innerHTML = '';
+            return;
+        }
+        const options = [...names.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+        const selectedKey = historyExerciseName ? getExerciseKey(historyExerciseName) : options[0][0];
+        select.innerHTML = options.map(([key, name]) =>
+            `<option value="${escapeHtml(key)}" ${key === selectedKey ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+        const name = names.get(selectedKey);
+
+        const { records, sessions: performances } = getPersonalRecords(getExerciseHistory(sessions, name));
+        if (performances.length === 0) {
+            recordsDiv.innerHTML = `<p>No sessions of ${escapeHtml(name)} logged yet.</p>`;
+            chartDiv.innerHTML = '';
+            listDiv.innerHTML = '';
+            return;
+        }
+
+        const recordItems = ['topWeight', 'oneRepMax', 'maxDuration']
+            .filter(type => records[type])
+            .map(type => `<li><strong>${getRecordLabel(type, name)}:</strong> ${formatRecordValue({ type, value: records[type].value })} <small>(${records[type].date})</small></li>`);
+        if (records.repsAtWeight.length > 0) {
+            recordItems.push(`<li><strong>${PERSONAL_RECORD_LABELS.repsAtWeight}:</strong> ${records.repsAtWeight.map(best =>
+                formatRecordValue({ type: 'repsAtWeight', value: best.reps, weight: best.weight })).join('; ')}</li>`);
+        }
+        recordsDiv.innerHTML = `<h4>Personal Records</h4><ul class="exercise-records">${recordItems.join('')}</ul>`;
+
+        // Chart whatever this exercise is measured by: load, time or reps
+        const chronological = [...performances].reverse();
+        const toPoints = field => chronological.filter(p => p.summary[field] > 0).map(p => ({ x: parseDateString(p.date), y: p.summary[field] }));
+        const toWeight = points => points.map(point => ({ ...point, y: fromMetric('weight', point.y, units, 2) }));
+        let chart = null;
+        if (records.topWeight) {
+            chart = {
+                series: [
+                    { points: toWeight(toPoints('topWeight')), className: 'chart-raw', dots: true },
+                    { points: toWeight(toPoints('oneRepMax')), className: 'chart-average' }
+                ],
+                unit: ` ${getUnitLabel('weight', units)}`,
+                legend: '<span class="legend-raw">● Heaviest set</span> <span class="legend-average">━ Estimated 1RM</span>'
+            };
+        } else if (records.maxDuration) {
+            chart = { series: [{ points: toPoints('maxDuration'), className: 'chart-raw', dots: true }], unit: ' sec', legend: `<span class="legend-raw">● ${getRecordLabel('maxDuration', name)}</span>` };
+        } else {
+            chart = { series: [{ points: toPoints('maxReps'), className: 'chart-raw', dots: true }], unit: ' reps', legend: '<span class="legend-raw">● Most reps in a set</span>' };
+        }
+        chartDiv.innerHTML = chronological.length < 2
+            ? '<p>Log this exercise in at least two sessions to see a chart.</p>'
+            : buildLineChartSvg({ series: chart.series, unit: chart.unit }) + `<p class="chart-legend">${chart.legend}</p>`;
+
+        listDiv.innerHTML = '<h4>Sessions</h4><ul class="exercise-session-list">' + performances.map(performance => `<li>
+            <strong>${performance.date}</strong> ${escapeHtml(formatLoggedSets(performance.sets))}
+            ${performance.broke.length > 0 ? `<span class="pr-badge">🏆 ${performance.broke.map(record => getRecordLabel(record.type, name)).filter((label, i, all) => all.indexOf(label) === i).join(', ')}</span>` : ''}
+        </li>`).join('') + '</ul>';
+    }
+
+    document.getElementById('exerciseHistorySelect').addEventListener('change', event => {
+        historyExerciseName = event.target.selectedOptions[0].textContent;
+        renderExerciseHistory();
+    });
+
+    // --- Workout Timer ---
+    // Counts down each phase from buildTimerSequence(). Time is tracked against wall-clock timestamps
+    // (phaseEndsAt), not by counting ticks, so it stays accurate if the screen sleeps or the tab is throttled.
+
+    let activeTimer = null;
+    let timerInterval = null;
+    let audioContext = null;
+
+    async function startWorkoutTimer(workout) {
+        const restSeconds = await getSetting('timerRestSeconds', 60);
+        const phases = buildTimerSequence(workout, restSeconds);
+        if (phases.length === 0) return;
+
+        // Audio can only be unlocked from a user gesture, so create it here rather than when the first beep is due
+        if (!audioContext && (window.AudioContext || window.webkitAudioContext)) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        activeTimer = { phases, index: 0, restSeconds, paused: false, phaseEndsAt: null, remainingMs: null, lastBeepSecond: null };
+        beginTimerPhase(Date.now());
+        timerInterval = setInterval(tickTimer, 250);
+        document.addEventListener('visibilitychange', tickTimer);
+        renderTodayWorkout();
+    }
+
+    // Starts the current phase; startedAt lets phases that ended while the screen was off be chained exactly
+    function beginTimerPhase(startedAt) {
+        const phase = activeTimer.phases[activeTimer.index];
+        activeTimer.phaseEndsAt = phase.duration ? startedAt + phase.duration * 1000 : null;
+        activeTimer.lastBeepSecond = null;
+        renderWorkoutTimer();
+    }
+
+    function advanceTimer(startedAt = Date.now()) {
+        // Default rests set to 0 sec mid-workout stay in the sequence (so raising the rest again restores them) but are skipped
+        do {
+            activeTimer.index++;
+        } while (activeTimer.index < activeTimer.phases.length && activeTimer.phases[activeTimer.index].kind === 'rest' && !activeTimer.phases[activeTimer.index].duration);
+        if (activeTimer.index >= activeTimer.phases.length) {
+            cueTimer(880, 600, [300, 100, 300]);
+            stopWorkoutTimer();
+            alert('Workout timer finished - nice work!');
+            return;
+        }
+        cueTimer(activeTimer.phases[activeTimer.index].kind === 'work' ? 880 : 440, 300, [200]);
+        beginTimerPhase(startedAt);
+    }
+
+    function tickTimer() {
+        if (!activeTimer || activeTimer.paused) return;
+        // Catch up on every timed phase that finished since the last tick (e.g. while the phone was locked)
+        while (activeTimer && activeTimer.phaseEndsAt && Date.now() >= activeTimer.phaseEndsAt) {
+            advanceTimer(activeTimer.phaseEndsAt);
+        }
+        if (!activeTimer || !activeTimer.phaseEndsAt) return;
+
+        const secondsLeft = Math.ceil((activeTimer.phaseEndsAt - Date.now()) / 1000);
+        if (secondsLeft <= 3 && secondsLeft > 0 && activeTimer.lastBeepSecond !== secondsLeft) {
+            activeTimer.lastBeepSecond = secondsLeft;
+            cueTimer(660, 120);
+        }
+        document.getElementById('timerCountdown').textContent = formatClock(secondsLeft);
+    }
+
+    // Beep (when audio is available) and vibrate (on devices that support it)
+    function cueTimer(frequency, durationMs, vibrationPattern) {
+        if (audioContext && !document.hidden) {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start();
+            oscillator.stop(audioContext.currentTime + durationMs / 1000);
+        }
+        if (vibrationPattern && navigator.vibrate) {
+            navigator.vibrate(vibrationPattern);
+        }
+    }
+
+    function formatClock(totalSeconds) {
+        const seconds = Math.max(0, totalSeconds);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    function stopWorkoutTimer() {
+        clearInterval(timerInterval);
+        document.removeEventListener('visibilitychange', tickTimer);
+        activeTimer = null;
+        renderWorkoutTimer();
+        renderTodayWorkout();
+    }
+
+    function renderWorkoutTimer() {
+        const timerDiv = document.getElementById('workoutTimer');
+        if (!activeTimer) {
+            timerDiv.innerHTML = '';
+            timerDiv.classList.remove('rest-phase');
+            return;
+        }
+
+        const { phases, index, paused } = activeTimer;
+        const phase = phases[index];
+        const next = phases.slice(index + 1).find(p => p.kind !== 'rest' || p.duration);
+        const secondsLeft = paused
+            ? Math.ceil(activeTimer.remainingMs / 1000)
+            : activeTimer.phaseEndsAt ? Math.ceil((activeTimer.phaseEndsAt - Date.now()) / 1000) : null;
+
+        timerDiv.classList.toggle('rest-phase', phase.kind === 'rest');
+        timerDiv.innerHTML = `
+            <p class="timer-progress">Step ${index + 1} of ${phases.length}${paused ? ' - paused' : ''}</p>
+            <h3>${escapeHtml(phase.label)}</h3>
+            ${phase.detail ? `<p>${escapeHtml(phase.detail)}</p>` : ''}
+            <div id="timerCountdown" class="timer-countdown">${secondsLeft === null ? 'GO' : formatClock(secondsLeft)}</div>
+            <p class="timer-next">${next ? `Next: ${escapeHtml(next.label)}` : 'Last one!'}</p>
+            <div class="session-controls">
+                ${phase.duration
+                    ? `<button id="timerPauseBtn">${paused ? 'Resume' : 'Pause'}</button>`
+                    : '<button id="timerDoneBtn">Done</button>'}
+                <button id="timerSkipBtn" class="secondary">Skip</button>
+            </div>
+            <label for="timerRestInput">Rest between sets (sec):</label>
+            <input type="number" id="timerRestInput" min="0" step="5" value="${activeTimer.restSeconds}">
+            <button id="timerStopBtn" class="secondary">Stop Timer</button>
+        `;
+
+        const pauseBtn = document.getElementById('timerPauseBtn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                if (activeTimer.paused) {
+                    activeTimer.paused = false;
+                    activeTimer.phaseEndsAt = Date.now() + activeTimer.remainingMs;
+                } else {
+                    activeTimer.paused = true;
+                    activeTimer.remainingMs = activeTimer.phaseEndsAt - Date.now();
+                }
+                renderWorkoutTimer();
+            });
+        }
+        const doneBtn = document.getElementById('timerDoneBtn');
+        if (doneBtn) {
+            doneBtn.addEventListener('click', () => advanceTimer());
+        }
+        document.getElementById('timerSkipBtn').addEventListener('click', () => {
+            activeTimer.paused = false;
+            advanceTimer();
+        });
+        document.getElementById('timerStopBtn').addEventListener('click', () => {
+            if (confirm('Stop the workout timer?')) stopWorkoutTimer();
+        });
+        document.getElementById('timerRestInput').addEventListener('change', async event => {
+            const restSeconds = parseInt(event.target.value) || 0;
+            await saveSetting('timerRestSeconds', restSeconds);
+            // Only the default rests change; rests written into the plan (intervals, block rest rules) stay as planned
+            activeTimer.phases.slice(activeTimer.index + 1).forEach(p => {
+                if (p.isDefault) p.duration = restSeconds;
+            });
+            activeTimer.restSeconds = restSeconds;
+        });
+    }
+
+    // --- Plan Editor ---
+    // Edits a working copy of a plan; nothing is written to IndexedDB until "Save Plan" is pressed.
+
+    let editingPlan = null;
+    let editingWeekKey = null;
+    let planDirty = false;
+
+    async function renderPlanEditor(planId) {
+        const plans = await getAllPlans();
+        const activePlan = await getActivePlan();
+        const selectedId = planId !== undefined ? planId : (editingPlan ? editingPlan.id : activePlan && activePlan.id);
+        const selectedPlan = plans.find(p => p.id === selectedId) || plans[0];
+
+        const planSelect = document.getElementById('planSelect');
+        planSelect.innerHTML = plans.map(p =>
+            `<option value="${p.id}" ${selectedPlan && p.id === selectedPlan.id ? 'selected' : ''}>${escapeHtml(p.name)}${activePlan && p.id === activePlan.id ? ' (active)' : ''}</option>`
+        ).join('');
+
+        if (!selectedPlan) {
+            editingPlan = null;
+            document.getElementById('weekSelect').innerHTML = '';
+            document.getElementById('dayEditor').innerHTML = '<p>No plans yet. Create one to get started.</p>';
+            document.getElementById('planIssues').innerHTML = '';
+            return;
+        }
+
+        if (!editingPlan || editingPlan.id !== selectedPlan.id || !planDirty) {
+            editingPlan = JSON.parse(JSON.stringify(selectedPlan));
+            planDirty = false;
+        }
+        const weekNumbers = getPlanWeekNumbers(editingPlan);
+        if (!editingWeekKey || !editingPlan.weeks[editingWeekKey]) {
+            editingWeekKey = weekNumbers.length > 0 ? `Week ${weekNumbers[0]}` : null;
+        }
+        document.getElementById('activePlanNote').textContent = activePlan && editingPlan.id === activePlan.id
+            ? 'This plan is active.' : '';
+        renderWeekEditor();
+        renderPlanIssues();
+    }
+
+    // Lists malformed entries the loader finds in the plan being edited
+    function renderPlanIssues() {
+        const issuesDiv = document.getElementById('planIssues');
+        const { errors } = loadPlan(editingPlan);
+        if (errors.length === 0) {
+            issuesDiv.innerHTML = '';
+            return;
+        }
+        issuesDiv.innerHTML = `<h4>⚠ ${errors.length} problem(s) found in this plan:</h4><ul>${errors.map(e =>
+            `<li>${escapeHtml(e.location)} ${escapeHtml(e.message)}</li>`
+        ).join('')}</ul>`;
+    }
+
+    function renderWeekEditor() {
+        const weekSelect = document.getElementById('weekSelect');
+        weekSelect.innerHTML = getPlanWeekNumbers(editingPlan).map(num =>
+            `<option value="Week ${num}" ${`Week ${num}` === editingWeekKey ? 'selected' : ''}>Week ${num}</option>`
+        ).join('');
+
+        const dayEditor = document.getElementById('dayEditor');
+        if (!editingWeekKey) {
+            dayEditor.innerHTML = '<p>This plan has no weeks yet. Add one to start building it.</p>';
+            return;
+        }
+
+        const weekPlan = editingPlan.weeks[editingWeekKey];
+        let editorHtml = '';
+        for (let i = 1; i <= 7; i++) {
+            const dayKey = `Day ${i}`;
+            const workout = weekPlan[dayKey] || { type: '', description: '', exercises: [] };
+            editorHtml += `<div class="day-card" data-day="${dayKey}">
+                <h4>${dayKey}</h4>
+                <label>Workout type:</label>
+                <input type="text" data-field="type" value="${escapeHtml(workout.type)}" placeholder="e.g. Full Body Strength A (leave blank for rest)">
+                <label>Description:</label>
+                <textarea data-field="description" rows="2">${escapeHtml(workout.description)}</textarea>
+                <div class="exercise-rows">`;
+            (workout.exercises || []).forEach((ex, exIndex) => {
+                if (ex.group) {
+                    editorHtml += renderGroupEditorHtml(ex, exIndex);
+                    return;
+                }
+                editorHtml += `<div class="exercise-row" data-ex="${exIndex}">
+                    <input type="text" data-ex-field="name" value="${escapeHtml(ex.name)}" placeholder="Exercise">
+                    <input type="text" data-ex-field="sets" value="${escapeHtml(ex.sets)}" placeholder="Sets">
+                    <input type="text" data-ex-field="reps" value="${escapeHtml(ex.reps)}" placeholder="Reps">
+                    <input type="text" data-ex-field="notes" value="${escapeHtml(ex.notes)}" placeholder="Notes">
+                    <button class="remove-exercise secondary" title="Remove exercise">✕</button>
+                </div>`;
+            });
+            editorHtml += `</div>
+                <div class="button-row">
+                    <button class="add-exercise secondary">+ Exercise</button>
+                    <button class="add-group secondary">+ Block</button>
+                    <button class="duplicate-day secondary">Copy Day To…</button>
+                </div>
+            </div>`;
+        }
+        dayEditor.innerHTML = editorHtml;
+
+        dayEditor.querySelectorAll('.day-card').forEach(card => {
+            const dayKey = card.dataset.day;
+            const getWorkout = () => {
+                if (!weekPlan[dayKey]) weekPlan[dayKey] = { type: '', description: '', exercises: [] };
+                if (!weekPlan[dayKey].exercises) weekPlan[dayKey].exercises = [];
+                return weekPlan[dayKey];
+            };
+
+            card.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => {
+                    getWorkout()[input.dataset.field] = input.value;
+                    planDirty = true;
+                });
+            });
+            card.querySelectorAll('.exercise-row').forEach(row => {
+                const exIndex = parseInt(row.dataset.ex);
+                const childIndex = row.dataset.child !== undefined ? parseInt(row.dataset.child) : null;
+                // Rows inside a block edit the block's exercises list instead of the day's
+                const getList = () => (childIndex === null ? getWorkout().exercises : getWorkout().exercises[exIndex].exercises);
+                const listIndex = childIndex === null ? exIndex : childIndex;
+                row.querySelectorAll('[data-ex-field]').forEach(input => {
+                    input.addEventListener('input', () => {
+                        getList()[listIndex][input.dataset.exField] = input.value;
+                        planDirty = true;
+                    });
+                });
+                row.querySelector('.remove-exercise').addEventListener('click', () => {
+                    getList().splice(listIndex, 1);
+                    planDirty = true;
+                    renderWeekEditor();
+                });
+            });
+            card.querySelectorAll('.group-block').forEach(block => {
+                const group = () => getWorkout().exercises[parseInt(block.dataset.ex)];
+                block.querySelectorAll('[data-group-field]').forEach(input => {
+                    input.addEventListener('input', () => {
+                        group()[input.dataset.groupField] = input.value;
+                        planDirty = true;
+                        // EMOM/AMRAP blocks take a time cap instead of rounds
+                        if (input.dataset.groupField === 'group') renderWeekEditor();
+                    });
+                });
+                block.querySelectorAll('[data-rest-field]').forEach(input => {
+                    input.addEventListener('input', () => {
+                        group().rest = { ...group().rest, [input.dataset.restField]: parseInt(input.value) || 0 };
+                        planDirty = true;
+                    });
+                });
+                block.querySelector('.add-group-exercise').addEventListener('click', () => {
+                    group().exercises.push({ name: '', reps: 10, notes: '' });
+                    planDirty = true;
+                    renderWeekEditor();
+                });
+                block.querySelector('.remove-group').addEventListener('click', () => {
+                    getWorkout().exercises.splice(parseInt(block.dataset.ex), 1);
+                    planDirty = true;
+                    renderWeekEditor();
+                });
+            });
+            card.querySelector('.add-exercise').addEventListener('click', () => {
+                getWorkout().exercises.push({ name: '', sets: 3, reps: 10, notes: '' });
+                planDirty = true;
+                renderWeekEditor();
+            });
+            card.querySelector('.add-group').addEventListener('click', () => {
+                getWorkout().exercises.push({
+                    group: 'circuit',
+                    name: '',
+                    rounds: 3,
+                    rest: { betweenExercises: 0, betweenRounds: 60 },
+                    notes: '',
+                    exercises: [{ name: '', reps: 10, notes: '' }]
+                });
+                planDirty = true;
+                renderWeekEditor();
+            });
+            card.querySelector('.duplicate-day').addEventListener('click', () => {
+                const target = prompt('Copy this day to which day number (1-7)?');
+                const targetDay = parseInt(target);
+                if (!(targetDay >= 1 && targetDay <= 7)) return;
+                weekPlan[`Day ${targetDay}`] = JSON.parse(JSON.stringify(getWorkout()));
+                planDirty = true;
+                renderWeekEditor();
+            });
+        });
+    }
+
+    // Editor fields for a grouped block: type, rounds or time cap, rest rules and its exercises
+    function renderGroupEditorHtml(group, exIndex) {
+        const timed = group.group === 'emom' || group.group === 'amrap';
+        const rest = group.rest || {};
+        let blockHtml = `<div class="group-block" data-ex="${exIndex}">
+            <div class="group-fields">
+                <select data-group-field="group">
+                    ${Object.entries(GROUP_TYPES).map(([value, label]) => `<option value="${value}" ${group.group === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" data-group-field="name" value="${escapeHtml(group.name)}" placeholder="Block name">
+                ${timed
+                    ? `<input type="text" data-group-field="minutes" value="${escapeHtml(group.minutes)}" placeholder="Minutes">`
+                    : `<input type="text" data-group-field="rounds" value="${escapeHtml(group.rounds)}" placeholder="Rounds (e.g. 3-4)">`}
+                <input type="number" min="0" data-rest-field="betweenExercises" value="${rest.betweenExercises || 0}" title="Rest between exercises (sec)" placeholder="Rest between exercises (sec)">
+                <input type="number" min="0" data-rest-field="betweenRounds" value="${rest.betweenRounds || 0}" title="Rest between rounds (sec)" placeholder="Rest between rounds (sec)">
+                <input type="text" data-group-field="notes" value="${escapeHtml(group.notes)}" placeholder="Notes">
+            </div>`;
+        (group.exercises || []).forEach((ex, childIndex) => {
+            blockHtml += `<div class="exercise-row group-exercise-row" data-ex="${exIndex}" data-child="${childIndex}">
+                <input type="text" data-ex-field="name" value="${escapeHtml(ex.name)}" placeholder="Exercise">
+                <input type="text" data-ex-field="reps" value="${escapeHtml(ex.reps)}" placeholder="Reps">
+                <input type="text" data-ex-field="notes" value="${escapeHtml(ex.notes)}" placeholder="Notes">
+                <button class="remove-exercise secondary" title="Remove exercise">✕</button>
+            </div>`;
+        });
+        blockHtml += `<div class="button-row">
+                <button class="add-group-exercise secondary">+ Exercise in Block</button>
+                <button class="remove-group secondary">Remove Block</button>
+            </div>
+        </div>`;
+        return blockHtml;
+    }
+
+    // Cleans up the working copy before saving: drops empty days/exercises and turns numeric text back into numbers.
+    function cleanPlanForSave(plan) {
+        const toValue = value => (typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value) : value);
+        const cleanExercise = ex => ({ ...ex, sets: toValue(ex.sets), reps: toValue(ex.reps) });
+        const hasName = ex => ex.name && ex.name.trim();
+        Object.values(plan.weeks).forEach(weekPlan => {
+            Object.keys(weekPlan).forEach(dayKey => {
+                const workout = weekPlan[dayKey];
+                workout.exercises = (workout.exercises || [])
+                    .map(ex => (ex.group
+                        ? { ...ex, rounds: toValue(ex.rounds), minutes: toValue(ex.minutes), exercises: (ex.exercises || []).filter(hasName).map(cleanExercise) }
+                        : ex))
+                    .filter(ex => (ex.group ? ex.exercises.length > 0 : hasName(ex)))
+                    .map(ex => (ex.group ? ex : cleanExercise(ex)));
+                if (!workout.type.trim() && workout.exercises.length === 0) {
+                    delete weekPlan[dayKey];
+                } else if (workout.exercises.length === 0) {
+                    delete workout.exercises;
+                }
+            });
+        });
+        return plan;
+    }
+
+    function confirmDiscardPlanChanges() {
+        return !planDirty || confirm('Discard unsaved changes to this plan?');
+    }
+
+    document.getElementById('planSelect').addEventListener('change', event => {
+        if (!confirmDiscardPlanChanges()) {
+            event.target.value = editingPlan.id;
+            return;
+        }
+        planDirty = false;
+        editingWeekKey = null;
+        renderPlanEditor(parseInt(event.target.value));
+    });
+
+    document.getElementById('weekSelect').addEventListener('change', event => {
+        editingWeekKey = event.target.value;
+        renderWeekEditor();
+    });
+
+    document.getElementById('setActivePlanBtn').addEventListener('click', async () => {
+        if (!editingPlan) return;
+        await saveSetting('activePlanId', editingPlan.id);
+        alert(`"${editingPlan.name}" is now your active plan.`);
+        renderPlanEditor();
+    });
+
+    document.getElementById('newPlanBtn').addEventListener('click', async () => {
+        if (!confirmDiscardPlanChanges()) return;
+        const name = prompt('Name for the new plan:');
+        if (!name) return;
+        const id = await savePlan({ name, weeks: { 'Week 1': {} } });
+        planDirty = false;
+        editingWeekKey = null;
+        renderPlanEditor(id);
+    });
+
+    document.getElementById('duplicatePlanBtn').addEventListener('click', async () => {
+        if (!editingPlan) return;
+        const name = prompt('Name for the copy:', `${editingPlan.name} (copy)`);
+        if (!name) return;
+        const { id, isTemplate, ...planData } = cleanPlanForSave(JSON.parse(JSON.stringify(editingPlan)));
+        const newId = await savePlan({ ...planData, name });
+        planDirty = false;
+        renderPlanEditor(newId);
+    });
+
+    document.getElementById('renamePlanBtn').addEventListener('click', () => {
+        if (!editingPlan) return;
+        const name = prompt('New plan name:', editingPlan.name);
+        if (!name) return;
+        editingPlan.name = name;
+        planDirty = true;
+        document.querySelector(`#planSelect option[value="${editingPlan.id}"]`).textContent = name;
+    });
+
+    document.getElementById('deletePlanBtn').addEventListener('click', async () => {
+        if (!editingPlan) return;
+        const plans = await getAllPlans();
+        if (plans.length === 1) {
+            alert('You need at least one plan.');
+            return;
+        }
+        if (!confirm(`Delete "${editingPlan.name}"? This cannot be undone.`)) return;
+        await deletePlan(editingPlan.id);
+        editingPlan = null;
+        editingWeekKey = null;
+        planDirty = false;
+        renderPlanEditor();
+    });
+
+    document.getElementById('addWeekBtn').addEventListener('click', () => {
+        if (!editingPlan) return;
+        const weekNumbers = getPlanWeekNumbers(editingPlan);
+        const suggested = weekNumbers.length > 0 ? weekNumbers[weekNumbers.length - 1] + 1 : 1;
+        const weekNum = parseInt(prompt('Week number to add:', suggested));
+        if (!(weekNum > 0)) return;
+        if (editingPlan.weeks[`Week ${weekNum}`]) {
+            alert(`Week ${weekNum} already exists.`);
+            return;
+        }
+        editingPlan.weeks[`Week ${weekNum}`] = {};
+        editingWeekKey = `Week ${weekNum}`;
+        planDirty = true;
+        renderWeekEditor();
+    });
+
+    document.getElementById('duplicateWeekBtn').addEventListener('click', () => {
+        if (!editingPlan || !editingWeekKey) return;
+        const weekNum = parseInt(prompt(`Copy ${editingWeekKey} to which week number?`));
+        if (!(weekNum > 0)) return;
+        const targetKey = `Week ${weekNum}`;
+        if (editingPlan.weeks[targetKey] && !confirm(`${targetKey} already exists. Overwrite it?`)) return;
+        editingPlan.weeks[targetKey] = JSON.parse(JSON.stringify(editingPlan.weeks[editingWeekKey]));
+        editingWeekKey = targetKey;
+        planDirty = true;
+        renderWeekEditor();
+    });
+
+    document.getElementById('deleteWeekBtn').addEventListener('click', () => {
+        if (!editingPlan || !editingWeekKey) return;
+        if (!confirm(`Delete ${editingWeekKey} from this plan?`)) return;
+        delete editingPlan.weeks[editingWeekKey];
+        planDirty = true;
+        const weekNumbers = getPlanWeekNumbers(editingPlan);
+        editingWeekKey = weekNumbers.length > 0 ? `Week ${weekNumbers[0]}` : null;
+        renderWeekEditor();
+    });
+
+    document.getElementById('savePlanBtn').addEventListener('click', async () => {
+        if (!editingPlan) return;
+        try {
+            await savePlan(cleanPlanForSave(editingPlan));
+            planDirty = false;
+            alert('Plan saved!');
+            renderPlanEditor();
+        } catch (error) {
+            alert('Error saving plan: ' + error);
+        }
+    });
+
+    // --- Exercise Library ---
+
+    async function renderExerciseLibrary() {
+        const equipmentFilter = document.getElementById('exerciseEquipmentFilter');
+        if (equipmentFilter.options.length === 0) {
+            equipmentFilter.innerHTML = `<option value="all">Any</option>
+                <option value="today">What I have today</option>
+                <option value="none">No equipment</option>
+                ${Object.entries(EQUIPMENT).map(([key, label]) => `<option value="${key}">Uses: ${label}</option>`).join('')}`;
+        }
+        const query = document.getElementById('exerciseSearch').value.trim().toLowerCase();
+        const filter = equipmentFilter.value;
+        const available = await getSetting('equipment', Object.keys(EQUIPMENT));
+
+        const entries = Object.values(EXERCISE_CATALOG)
+            .filter(exercise => !query || [exercise.name, ...exercise.muscles].some(text => text.toLowerCase().includes(query)))
+            .filter(exercise => {
+                if (filter === 'today') return getMissingEquipment(exercise, available).length === 0;
+                if (filter === 'none') return exercise.equipment.length === 0;
+                if (filter !== 'all') return exercise.equipment.some(options => [].concat(options).includes(filter));
+                return true;
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const libraryDiv = document.getElementById('exerciseLibrary');
+        if (entries.length === 0) {
+            libraryDiv.innerHTML = '<p>No exercises match.</p>';
+            return;
+        }
+        const equipmentText = exercise => (exercise.equipment.length > 0
+            ? exercise.equipment.map(options => [].concat(options).map(key => EQUIPMENT[key]).join(' or ')).join(', ')
+            : 'None');
+        libraryDiv.innerHTML = entries.map(exercise => `<details class="exercise-entry">
+            <summary><strong>${exercise.name}</strong> <small>${exercise.muscles.join(', ')}</small></summary>
+            <p><strong>Equipment:</strong> ${equipmentText(exercise)}</p>
+            <ul>${exercise.cues.map(cue => `<li>${cue}</li>`).join('')}</ul>
+            ${exercise.substitutes.length > 0 ? `<p><strong>Alternatives:</strong> ${exercise.substitutes.map(id => EXERCISE_CATALOG[id].name).join(', ')}</p>` : ''}
+        </details>`).join('');
+    }
+
+    document.getElementById('exerciseSearch').addEventListener('input', renderExerciseLibrary);
+    document.getElementById('exerciseEquipmentFilter').addEventListener('change', renderExerciseLibrary);
+
+    // --- Units ---
+
+    // Unit names written into static labels, e.g. "Current Weight (kg)"
+    function applyUnitLabels() {
+        document.querySelectorAll('[data-unit-label]').forEach(label => {
+            label.textContent = getUnitLabel(label.dataset.unitLabel, units);
+        });
+    }
+
+    function renderUnitSettings() {
+        document.querySelectorAll('[data-unit-kind]').forEach(select => { select.value = units[select.dataset.unitKind]; });
+    }
+
+    document.querySelectorAll('[data-unit-kind]').forEach(select => {
+        select.addEventListener('change', async () => {
+            try {
+                units = { ...units, [select.dataset.unitKind]: select.value };
+                await saveSetting('units', units);
+                applyUnitLabels();
+                renderOverloadSettings();
+                renderTargetSettings();
+                renderDashboardData(selectedDate);
+            } catch (error) {
+                alert('Error saving units: ' + error);
+            }
+        });
+    });
+
+    applyUnitLabels();
+
+    // --- Program Settings ---
+    // Start date, pause/resume and restart for each plan, plus the history of past runs.
+
+    async function renderProgramSettings(planId) {
+        const plans = await getAllPlans();
+        const activePlan = await getActivePlan();
+        const planSelect = document.getElementById('programPlanSelect');
+        const selectedId = planId !== undefined ? planId : (parseInt(planSelect.value) || (activePlan && activePlan.id));
+        const plan = plans.find(p => p.id === selectedId) || activePlan;
+
+        planSelect.innerHTML = plans.map(p =>
+            `<option value="${p.id}" ${plan && p.id === plan.id ? 'selected' : ''}>${escapeHtml(p.name)}${activePlan && p.id === activePlan.id ? ' (active)' : ''}</option>`
+        ).join('');
+        if (!plan) return;
+
+        const enrollments = (await getEnrollmentsByPlan(plan.id)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const current = enrollments.find(e => e.status !== 'ended');
+        const planLength = getPlanLength(plan);
+
+        const statusDiv = document.getElementById('programStatus');
+        if (current) {
+            const { week, day, message } = getWeekAndDay(current, planLength, new Date(), await getAllScheduleOverrides());
+            const position = message ? message : `Week ${week} of ${planLength}, Day ${day}`;
+            statusDiv.innerHTML = `<p><strong>Status:</strong> ${current.status === 'paused' ? `Paused since ${formatDateString(new Date(current.pausedAt))}` : 'Running'}. ${position}</p>`;
+        } else {
+            statusDiv.innerHTML = `<p><strong>Status:</strong> Not started. This plan has ${planLength} week(s).</p>`;
+        }
+
+        document.getElementById('programStartDate').value = current ? current.startDate : getTodayString();
+        document.getElementById('saveStartDateBtn').textContent = current ? 'Save Start Date' : 'Start Program';
+        const pauseBtn = document.getElementById('pauseProgramBtn');
+        pauseBtn.textContent = current && current.status === 'paused' ? 'Resume' : 'Pause';
+        pauseBtn.disabled = !current;
+        document.getElementById('restartProgramBtn').disabled = !current;
+
+        const historyDiv = document.getElementById('programHistory');
+        const pastRuns = enrollments.filter(e => e.status === 'ended');
+        historyDiv.innerHTML = '<h4>Past Runs:</h4>';
+        if (pastRuns.length === 0) {
+            historyDiv.innerHTML += '<p>No past runs of this plan.</p>';
+            return;
+        }
+        historyDiv.innerHTML += '<ul>' + pastRuns.map(e =>
+            `<li>${e.startDate} → ${formatDateString(new Date(e.endedAt))} (${e.endReason}${e.pausedDays ? `, paused ${e.pausedDays} day(s)` : ''})</li>`
+        ).join('') + '</ul>';
+    }
+
+    function getSelectedProgramPlanId() {
+        return parseInt(document.getElementById('programPlanSelect').value);
+    }
+
+    document.getElementById('programPlanSelect').addEventListener('change', () => {
+        renderProgramSettings(getSelectedProgramPlanId());
+    });
+
+    document.getElementById('saveStartDateBtn').addEventListener('click', async () => {
+        const planId = getSelectedProgramPlanId();
+        const startDate = document.getElementById('programStartDate').value;
+        if (!startDate) {
+            alert('Please pick a start date.');
+            return;
+        }
+        try {
+            const current = await getCurrentEnrollment(planId);
+            if (current) {
+                await saveEnrollment({ ...current, startDate });
+            } else {
+                await saveEnrollment({
+                    planId,
+                    startDate,
+                    status: 'active',
+                    pausedAt: null,
+                    pausedDays: 0,
+                    pauses: [],
+                    createdAt: new Date().toISOString()
+                });
+            }
+            alert('Start date saved!');
+            renderProgramSettings(planId);
+        } catch (error) {
+            alert('Error saving start date: ' + error);
+        }
+    });
+
+    document.getElementById('pauseProgramBtn').addEventListener('click', async () => {
+        const planId = getSelectedProgramPlanId();
+        const current = await getCurrentEnrollment(planId);
+        if (!current) return;
+        if (current.status === 'paused') {
+            await saveEnrollment({ ...current, ...endPause(current), status: 'active' });
+        } else {
+            const pauses = [...getEnrollmentPauses(current), { from: getTodayString(), to: null }];
+            await saveEnrollment({ ...current, status: 'paused', pausedAt: new Date().toISOString(), pauses });
+        }
+        renderProgramSettings(planId);
+    });
+
+    document.getElementById('restartProgramBtn').addEventListener('click', async () => {
+        const planId = getSelectedProgramPlanId();
+        const current = await getCurrentEnrollment(planId);
+        if (!current) return;
+        const today = getTodayString();
+        if (!confirm(`Restart this plan from Week 1 starting ${today}? The current run will be kept in your history.`)) return;
+        try {
+            await saveEnrollment({ ...current, ...endPause(current), status: 'ended', endedAt: new Date().toISOString(), endReason: 'restarted' });
+            await saveEnrollment({
+                planId,
+                startDate: today,
+                status: 'active',
+                pausedAt: null,
+                pausedDays: 0,
+                pauses: [],
+                createdAt: new Date().toISOString()
+            });
+            renderProgramSettings(planId);
+        } catch (error) {
+            alert('Error restarting program: ' + error);
+        }
+    });
+
+    // --- Progression Settings ---
+
+    async function renderOverloadSettings() {
+        const settings = { ...DEFAULT_OVERLOAD_SETTINGS, ...(await getSetting('overload', {})) };
+        document.getElementById('overloadRule').innerHTML = Object.entries(OVERLOAD_RULES).map(([key, rule]) =>
+            `<option value="${key}" ${key === settings.rule ? 'selected' : ''}>${rule.label}</option>`
+        ).join('');
+        document.getElementById('overloadIncrement').value = fromMetric('weight', settings.incrementKg, units, 2);
+        document.getElementById('overloadTargetRpe').value = settings.targetRpe;
+        renderOverloadRuleHint();
+    }
+
+    function renderOverloadRuleHint() {
+        const rule = document.getElementById('overloadRule').value;
+        document.getElementById('overloadRuleHint').textContent = OVERLOAD_RULES[rule].hint;
+        document.getElementById('targetRpeField').hidden = rule !== 'rpe';
+    }
+
+    document.getElementById('overloadRule').addEventListener('change', renderOverloadRuleHint);
+
+    document.getElementById('saveOverloadBtn').addEventListener('click', async () => {
+        const increment = parseFloat(document.getElementById('overloadIncrement').value);
+        const targetRpe = parseFloat(document.getElementById('overloadTargetRpe').value);
+        if (!(increment > 0) || !(targetRpe >= 5 && targetRpe <= 10)) {
+            alert('Please enter a weight increment above 0 and a target RPE between 5 and 10.');
+            return;
+        }
+        try {
+            await saveSetting('overload', {
+                rule: document.getElementById('overloadRule').value,
+                incrementKg: toMetric('weight', increment, units),
+                targetRpe
+            });
+            alert('Progression settings saved!');
+        } catch (error) {
+            alert('Error saving progression settings: ' + error);
+        }
+    });
+
+    // --- Daily Targets ---
+
+    function getTargetUnit(field) {
+        return field.unitKind ? getUnitLabel(field.unitKind, units) : field.unit;
+    }
+
+    async function renderTargetSettings() {
+        const saved = await getSetting('targets', {});
+        const targets = await getTargets();
+        const inputsHtml = (values, group) => TARGET_FIELDS.map(field => `
+            <label>${field.label}${getTargetUnit(field) ? ` (${getTargetUnit(field)})` : ''}:</label>
+            <input type="number" data-target-group="${group}" data-target="${field.key}" step="any"
+                value="${field.unitKind ? fromMetric(field.unitKind, values[field.key], units) : values[field.key]}">`
+        ).join('');
+
+        document.getElementById('targetInputs').innerHTML = inputsHtml(targets, 'base');
+        document.getElementById('restDayTargetInputs').innerHTML = inputsHtml({ ...targets, ...saved.restDay }, 'restDay');
+        document.getElementById('separateRestDayTargets').checked = !!saved.restDay;
+        document.getElementById('restDayTargetInputs').hidden = !saved.restDay;
+    }
+
+    // Reads one group of target inputs, ignoring blanks so they fall back to the defaults
+    function readTargetInputs(group) {
+        const values = {};
+        document.querySelectorAll(`[data-target-group="${group}"]`).forEach(input => {
+            const value = parseFloat(input.value);
+            const field = TARGET_FIELDS.find(f => f.key === input.dataset.target);
+            if (value >= 0) values[field.key] = field.unitKind ? toMetric(field.unitKind, value, units) : value;
+        });
+        return values;
+    }
+
+    document.getElementById('separateRestDayTargets').addEventListener('change', event => {
+        document.getElementById('restDayTargetInputs').hidden = !event.target.checked;
+    });
+
+    document.getElementById('saveTargetsBtn').addEventListener('click', async () => {
+        const restDay = document.getElementById('separateRestDayTargets').checked ? readTargetInputs('restDay') : null;
+        try {
+            await saveSetting('targets', { ...readTargetInputs('base'), restDay });
+            alert('Targets saved!');
+            renderDashboardData(selectedDate);
+        } catch (error) {
+            alert('Error saving targets: ' + error);
+        }
+    });
+
+    // --- TDEE Calculator ---
+
+    let proposedTargets = null; // Targets from the last calculation, waiting to be applied
+
+    async function renderTdeeCalculator() {
+        const profile = await getSetting('profile', {});
+        document.getElementById('activityLevel').innerHTML = ACTIVITY_LEVELS.map(level =>
+            `<option value="${level.key}" ${level.key === profile.activity ? 'selected' : ''}>${level.label}</option>`
+        ).join('');
+        document.getElementById('tdeeGoal').innerHTML = Object.entries(TDEE_GOALS).map(([key, goal]) =>
+            `<option value="${key}" ${key === (profile.goal || 'maintain') ? 'selected' : ''}>${goal.label}</option>`
+        ).join('');
+        document.getElementById('heightInput').value = profile.height || '';
+        document.getElementById('ageInput').value = profile.age || '';
+        document.getElementById('sexSelect').value = profile.sex || 'male';
+        document.getElementById('tdeeResult').innerHTML = '';
+        proposedTargets = null;
+    }
+
+    document.getElementById('calculateTdeeBtn').addEventListener('click', async () => {
+        const profile = {
+            height: parseFloat(document.getElementById('heightInput').value),
+            age: parseInt(document.getElementById('ageInput').value),
+            sex: document.getElementById('sexSelect').value,
+            activity: document.getElementById('activityLevel').value,
+            goal: document.getElementById('tdeeGoal').value
+        };
+        if (!(profile.height > 0) || !(profile.age > 0)) {
+            alert('Please enter your height and age.');
+            return;
+        }
+        const weights = (await getAllWeights()).sort((a, b) => a.date.localeCompare(b.date));
+        if (weights.length === 0) {
+            alert('Log your weight in Trackers first - the calculator uses your latest weight.');
+            return;
+        }
+        await saveSetting('profile', profile);
 
-        try {
-            await saveDailyData(today, { steps, water, calories, protein, carbs, fat });
-            alert('Daily data saved!');
-            renderDashboardData(today); // Refresh dashboard display
-        } catch (error) {
-            alert('Error saving daily data: ' + error);
+        const weight = weights[weights.length - 1].weight;
+        const formulaTdee = estimateFormulaTdee({ ...profile, weight });
+        const adaptive = estimateAdaptiveTdee(weights, await getAllFoodEntries(), getTodayString());
+        const tdee = blendTdee(formulaTdee, adaptive);
+        proposedTargets = proposeTargets(tdee, weight, profile.goal);
+
+        let resultHtml = `<p><strong>Formula estimate:</strong> ${formulaTdee} kcal/day (at ${formatMeasurement('weight', weight, units)})</p>`;
+        if (adaptive) {
+            const change = `${adaptive.ratePerWeek >= 0 ? '+' : ''}${fromMetric('weight', adaptive.ratePerWeek, units, 2).toFixed(2)} ${getUnitLabel('weight', units)}/week`;
+            resultHtml += `<p><strong>From your logs:</strong> ${adaptive.tdee} kcal/day (ate ${adaptive.avgIntake} kcal/day on ${adaptive.loggedDays} logged days, weight ${change})</p>`;
+        } else {
+            resultHtml += `<p class="setting-hint">Log food on at least ${MIN_ADAPTIVE_LOGGED_DAYS} of the last ${ADAPTIVE_WINDOW_DAYS} days and weigh in over ${MIN_ADAPTIVE_WEIGHT_SPAN_DAYS}+ days to refine this from your own data.</p>`;
         }
-    });
+        resultHtml += `<p><strong>Estimated TDEE:</strong> ${tdee} kcal/day</p>
+            <p><strong>${TDEE_GOALS[profile.goal].label} targets:</strong> ${proposedTargets.calories} kcal, Protein ${proposedTargets.protein}g, Carbs ${proposedTargets.carbs}g, Fat ${proposedTargets.fat}g</p>
+            <button id="applyTdeeTargetsBtn">Apply These Targets</button>`;
+        document.getElementById('tdeeResult').innerHTML = resultHtml;
 
-    // --- Trackers Logic ---
-    const saveWeightBtn = document.getElementById('saveWeight');
-    saveWeightBtn.addEventListener('click', async () => {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const weight = parseFloat(document.getElementById('weightInput').value);
-        if (weight > 0) {
+        document.getElementById('applyTdeeTargetsBtn').addEventListener('click', async () => {
+            const saved = await getSetting('targets', {});
+            // Rest-day calorie/macro overrides were based on the old numbers, so only their water/step targets are kept
+            let restDay = null;
+            if (saved.restDay) {
+                const { calories, protein, carbs, fat, ...otherRestDay } = saved.restDay;
+                restDay = otherRestDay;
+            }
             try {
-                await saveWeight(today, weight);
-                alert('Weight saved!');
-                renderWeightHistory();
+                await saveSetting('targets', { ...saved, ...proposedTargets, restDay });
+                alert('Targets updated!');
+                renderTargetSettings();
+                renderDashboardData(selectedDate);
             } catch (error) {
-                alert('Error saving weight: ' + error);
+                alert('Error saving targets: ' + error);
             }
-        } else {
-            alert('Please enter a valid weight.');
+        });
+    });
+
+    // --- Backup & Restore ---
+
+    document.getElementById('exportBackupBtn').addEventListener('click', async () => {
+        try {
+            const backup = await buildBackup();
+            downloadFile(`fitness-backup-${getTodayString()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        } catch (error) {
+            alert('Error exporting data: ' + error);
         }
     });
 
-    const saveMacrosBtn = document.getElementById('saveMacros');
-    saveMacrosBtn.addEventListener('click', async () => {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const calories = parseInt(document.getElementById('calorieInput').value) || 0;
-        const protein = parseInt(document.getElementById('proteinInput').value) || 0;
-        const carbs = parseInt(document.getElementById('carbInput').value) || 0;
-        const fat = parseInt(document.getElementById('fatInput').value) || 0;
+    document.getElementById('importBackupBtn').addEventListener('click', async () => {
+        const file = document.getElementById('backupFileInput').files[0];
+        const reportDiv = document.getElementById('importReport');
+        if (!file) {
+            alert('Choose a backup file first.');
+            return;
+        }
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            alert("Couldn't read the file: it isn't valid JSON.");
+            return;
+        }
+        const problems = validateBackup(backup);
+        if (problems.length > 0) {
+            reportDiv.innerHTML = `<p class="plan-warning">Can't import this file:</p><ul>${problems.slice(0, 20).map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>`;
+            return;
+        }
 
-        if (calories || protein || carbs || fat) {
-             try {
-                // Get existing daily data to merge
-                const existingData = await getDailyData(today) || {};
-                await saveDailyData(today, { ...existingData, calories, protein, carbs, fat });
-                alert('Macros saved!');
-                renderDashboardData(today); // Refresh dashboard display
-            } catch (error) {
-                alert('Error saving macros: ' + error);
+        const { stores } = migrateBackup(backup);
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        try {
+            if (mode === 'replace') {
+                const exportedOn = backup.exportedAt ? formatDateString(new Date(backup.exportedAt)) : 'an unknown date';
+                if (!confirm(`Replace ALL data on this device with the backup from ${exportedOn}? This can't be undone.`)) return;
+                const storeNames = Array.from(db.objectStoreNames);
+                const recordsByStore = {};
+                storeNames.forEach(name => { recordsByStore[name] = stores[name] || []; });
+                await replaceStores(recordsByStore);
+                reportDiv.innerHTML = `<p>Restored: ${storeNames.map(name => `${name} ${recordsByStore[name].length}`).join(', ')}.</p>`;
+            } else {
+                const conflicts = await findBackupConflicts(stores);
+                const conflictCount = Object.values(conflicts).reduce((sum, dates) => sum + dates.length, 0);
+                const overwrite = conflictCount > 0 &&
+                    confirm(`${conflictCount} day(s) have different data in the backup. OK to use the backup's values, Cancel to keep what's on this device.`);
+                const report = await mergeBackup(stores, overwrite);
+                reportDiv.innerHTML = '<p>Merged:</p><ul>' + Object.entries(report).map(([name, counts]) =>
+                    `<li>${name}: ${counts.added} added${counts.updated ? `, ${counts.updated} updated` : ''}${counts.skipped ? `, ${counts.skipped} skipped` : ''}</li>`
+                ).join('') + '</ul>' + Object.entries(conflicts).map(([name, dates]) =>
+                    `<p><strong>Conflicts in ${name} (${overwrite ? 'backup kept' : 'device kept'}):</strong> ${dates.join(', ')}</p>`
+                ).join('');
             }
-        } else {
-            alert('Please enter at least one macro value.');
+            // The import may have brought a different units preference
+            units = { ...DEFAULT_UNITS, ...(await getSetting('units', {})) };
+            renderUnitSettings();
+            applyUnitLabels();
+            renderContent('settings');
+        } catch (error) {
+            alert('Error importing data: ' + error);
         }
     });
 
+    // --- CSV Import & Export ---
 
-    // --- Rendering Functions (called when tabs are activated) ---
+    let csvImport = null; // { headers, rows } of the CSV file picked for import
 
-    async function renderContent(tabId) {
-        const today = new Date().toISOString().split('T')[0];
-        switch (tabId) {
-            case 'dashboard':
-                renderDashboardData(today);
-                renderTodayWorkout();
-                break;
-            case 'schedule':
-                renderWeeklySchedule();
-                break;
-            case 'trackers':
-                renderWeightHistory();
-                // We'll leave macro inputs as direct entry in the tracker tab,
-                // but daily macro summary will be on dashboard
-                break;
-            case 'recipes':
-                renderRecipes();
-                break;
-        }
-    }
+    document.getElementById('exportWeightsCsvBtn').addEventListener('click', async () => {
+        const weights = (await getAllWeights()).sort((a, b) => a.date.localeCompare(b.date));
+        downloadFile(`weights-${getTodayString()}.csv`, toCsv([['date', 'weight_kg'], ...weights.map(w => [w.date, w.weight])]), 'text/csv');
+    });
 
-    async function renderDashboardData(date) {
-        const data = await getDailyData(date);
-        document.getElementById('displaySteps').textContent = data ? data.steps || 0 : 0;
-        document.getElementById('displayWater').textContent = data ? `${data.water || 0} L` : '0 L';
-        document.getElementById('displayCalories').textContent = data ? data.calories || 0 : 0;
-        document.getElementById('displayProtein').textContent = data ? `${data.protein || 0}g` : '0g';
-        document.getElementById('displayCarbs').textContent = data ? `${data.carbs || 0}g` : '0g';
-        document.getElementById('displayFat').textContent = data ? `${data.fat || 0}g` : '0g';
-
-        // Pre-fill daily inputs if data exists for today
-        if (data) {
-            document.getElementById('stepsInput').value = data.steps || '';
-            document.getElementById('waterInput').value = data.water || '';
-            document.getElementById('calorieInput').value = data.calories || '';
-            document.getElementById('proteinInput').value = data.protein || '';
-            document.getElementById('carbInput').value = data.carbs || '';
-            document.getElementById('fatInput').value = data.fat || '';
-        } else {
-            document.getElementById('stepsInput').value = '';
-            document.getElementById('waterInput').value = '';
-            document.getElementById('calorieInput').value = '';
-            document.getElementById('proteinInput').value = '';
-            document.getElementById('carbInput').value = '';
-            document.getElementById('fatInput').value = '';
-        }
-    }
+    document.getElementById('exportDailyCsvBtn').addEventListener('click', async () => {
+        const dailyByDate = new Map((await getAllDailyData()).map(d => [d.date, d]));
+        const foodByDate = {};
+        (await getAllFoodEntries()).forEach(entry => { (foodByDate[entry.date] = foodByDate[entry.date] || []).push(entry); });
+        const dates = Array.from(new Set([...dailyByDate.keys(), ...Object.keys(foodByDate)])).sort();
+        const rows = [['date', 'steps', 'water_l', 'calories', 'protein_g', 'carbs_g', 'fat_g']];
+        dates.forEach(date => {
+            const daily = dailyByDate.get(date) || {};
+            const totals = sumFoodEntries(foodByDate[date] || []);
+            rows.push([date, daily.steps ?? '', daily.water ?? '', totals.calories, totals.protein, totals.carbs, totals.fat]);
+        });
+        downloadFile(`daily-metrics-${getTodayString()}.csv`, toCsv(rows), 'text/csv');
+    });
 
-    async function renderWeightHistory() {
-        const weights = await getAllWeights();
-        const weightHistoryDiv = document.getElementById('weightHistory');
-        weightHistoryDiv.innerHTML = '<h4>Weight Log:</h4>';
-        if (weights.length === 0) {
-            weightHistoryDiv.innerHTML += '<p>No weight data yet.</p>';
+    document.getElementById('exportSessionsCsvBtn').addEventListener('click', async () => {
+        const rows = buildSessionCsvRows(await getAllWorkoutSessions());
+        downloadFile(`workouts-${getTodayString()}.csv`, toCsv(rows), 'text/csv');
+    });
+
+    document.getElementById('csvDateFormat').innerHTML = Object.entries(CSV_DATE_FORMATS).map(([key, format]) =>
+        `<option value="${key}">${format.label}</option>`
+    ).join('');
+
+    // Column pickers for the chosen store, pre-selected from the CSV's headers
+    function renderCsvMapping() {
+        const mappingDiv = document.getElementById('csvMapping');
+        document.getElementById('csvPreview').innerHTML = '';
+        if (!csvImport) {
+            mappingDiv.innerHTML = '';
             return;
         }
-        const ul = document.createElement('ul');
-        weights.sort((a, b) => new Date(b.date) - new Date(a.date)).forEach(entry => {
-            const li = document.createElement('li');
-            li.textContent = `${entry.date}: ${entry.weight} kg`;
-            ul.appendChild(li);
+        const store = document.getElementById('csvTarget').value;
+        const { headers, rows } = csvImport;
+        const columnSelect = (key, label, selected, optional) => `
+            <label>${label}:</label>
+            <select data-csv-field="${key}">
+                ${optional ? `<option value="-1" ${selected < 0 ? 'selected' : ''}>(don't import)</option>` : ''}
+                ${headers.map((header, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('')}
+            </select>`;
+        let mappingHtml = `<p>${rows.length} row(s) found.</p>`;
+        mappingHtml += columnSelect('date', 'Date column', Math.max(guessCsvColumn(headers, ['date', 'day', 'time']), 0), false);
+        CSV_IMPORT_FIELDS[store].forEach(field => {
+            mappingHtml += columnSelect(field.key, `${field.label} column`, guessCsvColumn(headers, field.aliases), true);
         });
-        weightHistoryDiv.appendChild(ul);
-        // Implement simple chart here if desired (e.g., using a small library or just text)
+        if (store === 'weights') {
+            const weightColumn = guessCsvColumn(headers, CSV_IMPORT_FIELDS.weights[0].aliases);
+            const detected = weightColumn >= 0 ? detectWeightUnit(headers[weightColumn], rows.map(r => r[weightColumn])) : 'kg';
+            mappingHtml += `<label for="csvWeightUnit">Weight unit (detected: ${detected}):</label>
+                <select id="csvWeightUnit">
+                    <option value="kg" ${detected === 'kg' ? 'selected' : ''}>kg</option>
+                    <option value="lb" ${detected === 'lb' ? 'selected' : ''}>lb</option>
+                </select>`;
+        }
+        mappingDiv.innerHTML = mappingHtml;
     }
 
-    function renderRecipes() {
-        const recipeListDiv = document.getElementById('recipeList');
-        recipeListDiv.innerHTML = ''; // Clear previous content
-
-        RECIPES.forEach(recipe => {
-            const card = document.createElement('div');
-            card.className = 'recipe-card';
-            card.innerHTML = `
-                <h3>${recipe.name}</h3>
-                <p><strong>Macros (per serving):</strong> Protein: ${recipe.protein}g, Carbs: ${recipe.carbs}g, Fat: ${recipe.fat}g, Calories: ${recipe.calories}</p>
-                <p><strong>Servings:</strong> ${recipe.servings}</p>
-                <h4>Ingredients:</h4>
-                <ul>${recipe.ingredients.map(ing => `<li>${ing}</li>`).join('')}</ul>
-                <h4>Instructions:</h4>
-                <p>${recipe.instructions}</p>
-            `;
-            recipeListDiv.appendChild(card);
+    async function getCsvImportPreview() {
+        const store = document.getElementById('csvTarget').value;
+        const mapping = {};
+        document.querySelectorAll('[data-csv-field]').forEach(select => { mapping[select.dataset.csvField] = parseInt(select.value); });
+        const unitSelect = document.getElementById('csvWeightUnit');
+        return buildCsvImportPreview({
+            rows: csvImport.rows,
+            store,
+            mapping,
+            dateFormat: document.getElementById('csvDateFormat').value,
+            unit: unitSelect ? unitSelect.value : 'kg',
+            existing: store === 'weights' ? await getAllWeights() : await getAllDailyData()
         });
     }
 
-    // --- Workout Plan Integration (from 6-month plan below) ---
-    // This will require a mapping of current date to week/day of the plan.
-    // For simplicity, let's assume we start Week 1 Day 1 today or a specific start date.
-
-    // Helper to get week number from a start date (e.g., first Monday after app start)
-    function getWeekAndDay(startDateStr) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Normalize to start of day
-        const startDate = new Date(startDateStr);
-        startDate.setHours(0, 0, 0, 0);
-
-        if (today < startDate) {
-            return { week: 0, day: 0, message: "Program hasn't started yet!" };
+    document.getElementById('csvFileInput').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        csvImport = null;
+        if (file) {
+            const [headers, ...rows] = parseCsv(await file.text());
+            if (!headers || rows.length === 0) {
+                alert('That CSV file has no data rows.');
+            } else {
+                csvImport = { headers: headers.map(h => h.trim()), rows };
+            }
         }
+        renderCsvMapping();
+    });
+    document.getElementById('csvTarget').addEventListener('change', renderCsvMapping);
 
-        const diffTime = Math.abs(today - startDate);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    document.getElementById('csvPreviewBtn').addEventListener('click', async () => {
+        if (!csvImport) {
+            alert('Choose a CSV file first.');
+            return;
+        }
+        const { changes, errors } = await getCsvImportPreview();
+        const counts = { add: 0, update: 0, same: 0 };
+        changes.forEach(change => { counts[change.action]++; });
+        const actionLabels = { add: 'New', update: 'Update', same: 'No change' };
+        let previewHtml = `<p><strong>Dry run:</strong> ${counts.add} new, ${counts.update} updated, ${counts.same} unchanged, ${errors.length} problem(s). Nothing has been saved yet.</p>`;
+        previewHtml += '<table class="set-table"><tr><th>Date</th><th>Values</th><th></th></tr>' + changes.slice(0, 50).map(change =>
+            `<tr><td>${change.date}</td><td>${Object.entries(change.values).map(([key, value]) => `${key}: ${value}`).join(', ')}</td><td>${actionLabels[change.action]}</td></tr>`
+        ).join('') + '</table>';
+        if (changes.length > 50) previewHtml += `<p>…and ${changes.length - 50} more.</p>`;
+        if (errors.length > 0) {
+            previewHtml += '<ul class="plan-warning">' + errors.slice(0, 20).map(e => `<li>Line ${e.line}: ${escapeHtml(e.message)}</li>`).join('') + '</ul>';
+        }
+        document.getElementById('csvPreview').innerHTML = previewHtml;
+    });
 
-        const week = Math.floor(diffDays / 7) + 1; // +1 because week 0 is not a thing
-        const day = (diffDays % 7) + 1;
+    document.getElementById('csvImportBtn').addEventListener('click', async () => {
+        if (!csvImport) {
+            alert('Choose a CSV file first.');
+            return;
+        }
+        const store = document.getElementById('csvTarget').value;
+        const { changes, errors } = await getCsvImportPreview();
+        const toSave = changes.filter(change => change.action !== 'same');
+        if (toSave.length === 0) {
+            alert('Nothing to import - every row is already saved or unreadable.');
+            return;
+        }
+        if (!confirm(`Import ${toSave.length} day(s)${errors.length ? `, skipping ${errors.length} problem row(s)` : ''}?`)) return;
+        try {
+            for (const change of toSave) {
+                if (store === 'weights') {
+                    await saveWeight(change.date, change.values.weight);
+                } else {
+                    const existingData = await getDailyData(change.date) || {};
+                    await saveDailyData(change.date, { ...existingData, ...change.values });
+                }
+            }
+            alert(`Imported ${toSave.length} day(s).`);
+            document.getElementById('csvPreview').innerHTML = '';
+        } catch (error) {
+            alert('Error importing CSV: ' + error);
+        }
+    });
 
-        return { week, day };
-    }
+    // --- Activity Import ---
 
-    // You would set your program start date here
-    const PROGRAM_START_DATE = '2025-07-07'; // Example: Start on Monday, July 7th, 2025
+    let pendingActivities = []; // [{ activity, cardio }] parsed from the picked files, waiting for Import
 
-    function renderTodayWorkout() {
-        const todayWorkoutSummary = document.getElementById('todayWorkoutSummary');
-        const { week, day } = getWeekAndDay(PROGRAM_START_DATE);
+    document.getElementById('activityFileInput').addEventListener('change', async event => {
+        pendingActivities = [];
+        const problems = [];
+        for (const file of event.target.files) {
+            try {
+                const activities = await parseActivityFile(file);
+                if (activities.length === 0) problems.push(`${file.name}: no timed activity found`);
+                for (const activity of activities) {
+                    pendingActivities.push({ activity, cardio: await findPlannedCardio(activity.date) });
+                }
+            } catch (error) {
+                problems.push(`${file.name}: ${error}`);
+            }
+        }
+        pendingActivities.sort((a, b) => a.activity.startTime.localeCompare(b.activity.startTime));
 
-        if (week > 26 || week === 0) { // Assuming 26 weeks for 6 months
-            todayWorkoutSummary.innerHTML = `<p>Workout program completed or not started yet. Week ${week}, Day ${day}.</p>`;
-            return;
+        let previewHtml = pendingActivities.length === 0 ? '' : '<ul class="activity-preview">' + pendingActivities.map(({ activity, cardio }, i) => `<li>
+            <strong>${activity.date}</strong> ${escapeHtml(formatActivity(activity))}
+            ${cardio ? `<label><input type="checkbox" data-attach-index="${i}"${cardio.isCardioDay ? ' checked' : ''}> Log as ${escapeHtml(cardio.exercise.name)} (Week ${cardio.week}, Day ${cardio.day})</label>` : ''}
+        </li>`).join('') + '</ul>';
+        if (problems.length > 0) {
+            previewHtml += '<ul class="plan-warning">' + problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('') + '</ul>';
         }
+        document.getElementById('activityPreview').innerHTML = previewHtml;
+        document.getElementById('importActivitiesBtn').disabled = pendingActivities.length === 0;
+    });
 
-        const currentWeekPlan = WORKOUT_PLAN[`Week ${week}`];
-        if (currentWeekPlan) {
-            const workoutForToday = currentWeekPlan[`Day ${day}`];
-            if (workoutForToday) {
-                let workoutHtml = `<h3>Today's Workout (Week ${week}, Day ${day})</h3>`;
-                workoutHtml += `<h4>${workoutForToday.type}</h4>`;
-                workoutHtml += `<p>${workoutForToday.description}</p>`;
-                if (workoutForToday.exercises && workoutForToday.exercises.length > 0) {
-                    workoutHtml += '<h4>Exercises:</h4><ul>';
-                    workoutForToday.exercises.forEach(ex => {
-                        workoutHtml += `<li><strong>${ex.name}</strong>: ${ex.sets} sets x ${ex.reps} reps (${ex.notes || ''})</li>`;
-                    });
-                    workoutHtml += '</ul>';
-                }
-                todayWorkoutSummary.innerHTML = workoutHtml;
-            } else {
-                todayWorkoutSummary.innerHTML = `<p>No specific workout planned for Week ${week}, Day ${day}. Likely a rest day or active recovery.</p>`;
+    document.getElementById('importActivitiesBtn').addEventListener('click', async () => {
+        let attachedCount = 0;
+        try {
+            for (const [i, { activity }] of pendingActivities.entries()) {
+                const checkbox = document.querySelector(`[data-attach-index="${i}"]`);
+                const { attached } = await importActivity(activity, checkbox ? checkbox.checked : false);
+                if (attached) attachedCount++;
             }
-        } else {
-             todayWorkoutSummary.innerHTML = `<p>No workout data found for Week ${week}.</p>`;
+            alert(`Imported ${pendingActivities.length} activit${pendingActivities.length === 1 ? 'y' : 'ies'}` +
+                (attachedCount ? `, ${attachedCount} logged against planned cardio.` : '.'));
+            pendingActivities = [];
+            document.getElementById('activityFileInput').value = '';
+            document.getElementById('activityPreview').innerHTML = '';
+            document.getElementById('importActivitiesBtn').disabled = true;
+            renderDashboardData(selectedDate);
+        } catch (error) {
+            alert('Error importing activities: ' + error);
         }
-    }
-
-    function renderWeeklySchedule() {
-        const weeklyScheduleDisplay = document.getElementById('weeklyScheduleDisplay');
-        weeklyScheduleDisplay.innerHTML = ''; // Clear previous content
+    });
 
-        const { week: currentWeekNum, day: currentDayNum } = getWeekAndDay(PROGRAM_START_DATE);
+    // --- Date Key Review ---
+    // One-time check after upgrading from versions that saved entries under the UTC date. The user picks which
+    // days to move; the suggested direction depends on which side of UTC they are.
 
-        if (currentWeekNum > 26 || currentWeekNum === 0) {
-            weeklyScheduleDisplay.innerHTML = `<p>Workout program completed or not started yet.</p>`;
+    async function renderDateKeyReview() {
+        const section = document.getElementById('dateKeyReviewSection');
+        const review = await getSetting('dateKeyReview', null);
+        if (!review || !review.pending) {
+            section.hidden = true;
             return;
         }
-
-        const currentWeekPlan = WORKOUT_PLAN[`Week ${currentWeekNum}`];
-        if (!currentWeekPlan) {
-            weeklyScheduleDisplay.innerHTML = `<p>No plan found for the current week.</p>`;
+        const dailyDates = (await getAllDailyData()).map(d => d.date).filter(date => date <= review.upgradedOn);
+        const weightDates = (await getAllWeights()).map(w => w.date).filter(date => date <= review.upgradedOn);
+        if (dailyDates.length === 0 && weightDates.length === 0) {
+            await saveSetting('dateKeyReview', { ...review, pending: false });
+            section.hidden = true;
             return;
         }
+        section.hidden = false;
 
-        // Days of the week for display
-        const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        // getTimezoneOffset() is positive west of UTC, where evening entries were saved under the next day
+        const westOfUtc = new Date().getTimezoneOffset() > 0;
+        document.getElementById('dateKeyReviewHint').textContent = westOfUtc
+            ? 'Older versions saved entries under the UTC date. Entries you made in the evening may be filed one day late; tick them and move them to the previous day.'
+            : 'Older versions saved entries under the UTC date. Entries you made early in the morning may be filed one day early; tick them and move them to the next day.';
 
-        for (let i = 1; i <= 7; i++) {
-            const dayKey = `Day ${i}`;
-            const workout = currentWeekPlan[dayKey];
-            const dayDiv = document.createElement('div');
-            const date = new Date(PROGRAM_START_DATE);
-            date.setDate(date.getDate() + (currentWeekNum - 1) * 7 + (i - 1));
-            const dateString = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        const renderRows = (storeName, dates, label) => dates.sort().reverse().map(date =>
+            `<li><label><input type="checkbox" class="date-key-check" data-store="${storeName}" value="${date}"> ${date} (${label})</label></li>`
+        ).join('');
+        document.getElementById('dateKeyReviewList').innerHTML =
+            '<ul>' + renderRows('dailyData', dailyDates, 'daily data') + renderRows('weights', weightDates, 'weight') + '</ul>';
+    }
 
-            dayDiv.innerHTML = `<strong>${daysOfWeek[i - 1]} (${dateString}):</strong> ${workout ? workout.type : 'Rest/Active Recovery'}`;
-            if (i === currentDayNum) {
-                dayDiv.classList.add('current-day');
+    async function moveCheckedDateKeys(days) {
+        const checked = Array.from(document.querySelectorAll('.date-key-check:checked'));
+        if (checked.length === 0) {
+            alert('Tick the entries you want to move first.');
+            return;
+        }
+        try {
+            const skipped = [];
+            for (const storeName of ['dailyData', 'weights']) {
+                const dates = checked.filter(c => c.dataset.store === storeName).map(c => c.value);
+                if (dates.length === 0) continue;
+                const skippedDates = await shiftDateKeys(storeName, dates, days);
+                skipped.push(...skippedDates);
+                if (storeName === 'dailyData') {
+                    // The day's old macro totals became quick-add food entries, so they move with it
+                    const movedDates = dates.filter(date => !skippedDates.includes(date));
+                    const quickAdds = (await getAllFoodEntries()).filter(entry => entry.quickAdd && movedDates.includes(entry.date));
+                    for (const entry of quickAdds) {
+                        await saveFoodEntry({ ...entry, date: addDaysToDateString(entry.date, days) });
+                    }
+                }
             }
-            // Add a click listener to show details (could expand the workout details or go to dashboard)
-            dayDiv.addEventListener('click', () => {
-                alert(`Workout for ${daysOfWeek[i - 1]}:\n${workout ? workout.description + '\n\n' + workout.exercises.map(e => `${e.name}: ${e.sets}x${e.reps}`).join('\n') : 'Rest or active recovery.'}`);
-            });
-            weeklyScheduleDisplay.appendChild(dayDiv);
+            if (skipped.length > 0) {
+                alert(`These entries were not moved because the day they would move to already has data: ${skipped.join(', ')}`);
+            }
+            renderDateKeyReview();
+        } catch (error) {
+            alert('Error moving entries: ' + error);
         }
     }
 
-    // Initial renders when app loads
-    renderDashboardData(new Date().toISOString().split('T')[0]);
-    renderTodayWorkout(); // Show today's workout on load
+    document.getElementById('movePrevDayBtn').addEventListener('click', () => moveCheckedDateKeys(-1));
+    document.getElementById('moveNextDayBtn').addEventListener('click', () => moveCheckedDateKeys(1));
+    document.getElementById('finishDateKeyReviewBtn').addEventListener('click', async () => {
+        const review = await getSetting('dateKeyReview', null);
+        await saveSetting('dateKeyReview', { ...review, pending: false });
+        renderDateKeyReview();
+    });
+
+    // Handle initial load based on URL hash (after all listeners and state above are set up)
+    const initialTab = window.location.hash ? window.location.hash.substring(1) : 'dashboard';
+    showTab(initialTab);
 });
 
-// --- Dummy Data (Replace with real data or load dynamically) ---
+// --- Sample Recipes ---
+// Seeded into the recipe library on first run (see ensureDefaultRecipes). Ingredients are parsed into
+// structured amounts and macros come from FOOD_TABLE.
 
 const RECIPES = [
     {
         name: "Quick Chicken & Veggie Stir-fry",
-        protein: 40, carbs: 30, fat: 15, calories: 435,
         servings:1,
+        tags: ["high-protein", "dinner"],
         ingredients: [
             "150g chicken breast, sliced",
             "1 tbsp soy sauce",
@@ -390,8 +5551,8 @@ const RECIPES = [
     },
     {
         name: "Cottage Cheese & Berries Bowl",
-        protein: 25, carbs: 20, fat: 5, calories: 225,
         servings:1,
+        tags: ["high-protein", "breakfast", "vegetarian"],
         ingredients: [
             "200g low-fat cottage cheese",
             "1/2 cup mixed berries",
@@ -402,8 +5563,8 @@ const RECIPES = [
     },
     {
         name: "Lentil Soup (Vegetarian Protein)",
-        protein: 18, carbs: 45, fat: 8, calories: 350,
-        servings:1,
+        servings:4,
+        tags: ["vegetarian", "soup"],
         ingredients: [
             "1 cup red lentils, rinsed",
             "4 cups vegetable broth",
@@ -417,6 +5578,460 @@ const RECIPES = [
     }
 ];
 
+// --- Food Composition Table ---
+// Calories and macros per 100 g (approximate, from standard food composition tables), plus the weight in grams
+// of the household units each food is usually measured in.
+
+const FOOD_TABLE = {
+    chicken_breast: { name: "Chicken breast", aliases: ["chicken"], calories: 120, protein: 22.5, carbs: 0, fat: 2.6, grams: { piece: 175 } },
+    ground_beef: { name: "Lean ground beef", aliases: ["ground beef", "mince"], calories: 176, protein: 20, carbs: 0, fat: 10, grams: {} },
+    salmon: { name: "Salmon", calories: 208, protein: 20, carbs: 0, fat: 13, grams: { piece: 125 } },
+    tuna: { name: "Canned tuna", aliases: ["tuna"], calories: 116, protein: 25.5, carbs: 0, fat: 0.8, grams: { can: 140 } },
+    egg: { name: "Egg", aliases: ["eggs"], calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, grams: { piece: 50 } },
+    egg_white: { name: "Egg white", aliases: ["egg whites"], calories: 52, protein: 10.9, carbs: 0.7, fat: 0.2, grams: { piece: 33, cup: 243 } },
+    tofu: { name: "Firm tofu", aliases: ["tofu"], calories: 144, protein: 17.3, carbs: 2.8, fat: 8.7, grams: { cup: 250 } },
+    cottage_cheese: { name: "Low-fat cottage cheese", aliases: ["cottage cheese"], calories: 72, protein: 12.4, carbs: 2.7, fat: 1, grams: { cup: 226, tbsp: 14 } },
+    greek_yogurt: { name: "Greek yogurt (non-fat)", aliases: ["greek yogurt", "greek yoghurt", "yogurt", "yoghurt"], calories: 59, protein: 10.2, carbs: 3.6, fat: 0.4, grams: { cup: 245, tbsp: 15 } },
+    milk: { name: "Milk (semi-skimmed)", aliases: ["milk"], calories: 47, protein: 3.4, carbs: 4.8, fat: 1.7, grams: { cup: 244, tbsp: 15 } },
+    cheddar: { name: "Cheddar cheese", aliases: ["cheddar", "cheese"], calories: 403, protein: 24.9, carbs: 1.3, fat: 33.1, grams: { slice: 28, cup: 113 } },
+    whey_protein: { name: "Whey protein powder", aliases: ["whey", "protein powder"], calories: 400, protein: 80, carbs: 8, fat: 6, grams: { scoop: 30 } },
+    red_lentils: { name: "Red lentils (dry)", aliases: ["red lentils", "lentils"], calories: 358, protein: 24, carbs: 63, fat: 2.2, grams: { cup: 192 } },
+    black_beans: { name: "Black beans (cooked)", aliases: ["black beans", "beans"], calories: 132, protein: 8.9, carbs: 23.7, fat: 0.5, grams: { cup: 172, can: 240 } },
+    chickpeas: { name: "Chickpeas (cooked)", aliases: ["chickpeas"], calories: 164, protein: 8.9, carbs: 27.4, fat: 2.6, grams: { cup: 164, can: 240 } },
+    brown_rice: { name: "Brown rice (cooked)", aliases: ["brown rice"], calories: 123, protein: 2.7, carbs: 25.6, fat: 1, grams: { cup: 195 } },
+    white_rice: { name: "White rice (cooked)", aliases: ["white rice", "rice"], calories: 130, protein: 2.7, carbs: 28.2, fat: 0.3, grams: { cup: 158 } },
+    quinoa: { name: "Quinoa (cooked)", aliases: ["quinoa"], calories: 120, protein: 4.4, carbs: 21.3, fat: 1.9, grams: { cup: 185 } },
+    pasta: { name: "Pasta (cooked)", aliases: ["pasta", "spaghetti"], calories: 158, protein: 5.8, carbs: 30.9, fat: 0.9, grams: { cup: 140 } },
+    oats: { name: "Rolled oats", aliases: ["oats", "oatmeal"], calories: 389, protein: 16.9, carbs: 66.3, fat: 6.9, grams: { cup: 81, tbsp: 5 } },
+    wholemeal_bread: { name: "Wholemeal bread", aliases: ["bread", "toast"], calories: 247, protein: 13, carbs: 41, fat: 3.4, grams: { slice: 32 } },
+    sweet_potato: { name: "Sweet potato", aliases: ["sweet potatoes"], calories: 86, protein: 1.6, carbs: 20.1, fat: 0.1, grams: { piece: 130, cup: 133 } },
+    potato: { name: "Potato", aliases: ["potatoes"], calories: 77, protein: 2, carbs: 17.5, fat: 0.1, grams: { piece: 170, cup: 150 } },
+    mixed_vegetables: { name: "Mixed vegetables", aliases: ["vegetables", "veggies"], calories: 35, protein: 2, carbs: 7, fat: 0.3, grams: { cup: 90 } },
+    broccoli: { name: "Broccoli", calories: 34, protein: 2.8, carbs: 6.6, fat: 0.4, grams: { cup: 91, piece: 150 } },
+    spinach: { name: "Spinach", calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, grams: { cup: 30 } },
+    bell_pepper: { name: "Bell pepper", aliases: ["bell peppers"], calories: 31, protein: 1, carbs: 6, fat: 0.3, grams: { piece: 120, cup: 150 } },
+    onion: { name: "Onion", aliases: ["onions"], calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, grams: { piece: 110, cup: 160 } },
+    garlic: { name: "Garlic", calories: 149, protein: 6.4, carbs: 33, fat: 0.5, grams: { clove: 3, tsp: 3 } },
+    carrot: { name: "Carrot", aliases: ["carrots"], calories: 41, protein: 0.9, carbs: 9.6, fat: 0.2, grams: { piece: 61, cup: 128 } },
+    celery: { name: "Celery", calories: 16, protein: 0.7, carbs: 3, fat: 0.2, grams: { stalk: 40, piece: 40, cup: 101 } },
+    diced_tomatoes: { name: "Canned diced tomatoes", aliases: ["diced tomatoes", "chopped tomatoes", "tomatoes"], calories: 21, protein: 0.9, carbs: 4, fat: 0.2, grams: { can: 400, cup: 240 } },
+    vegetable_broth: { name: "Vegetable broth", aliases: ["vegetable stock", "broth", "stock"], calories: 5, protein: 0.2, carbs: 1, fat: 0.1, grams: { cup: 240 } },
+    avocado: { name: "Avocado", calories: 160, protein: 2, carbs: 8.5, fat: 14.7, grams: { piece: 150 } },
+    banana: { name: "Banana", aliases: ["bananas"], calories: 89, protein: 1.1, carbs: 22.8, fat: 0.3, grams: { piece: 118 } },
+    apple: { name: "Apple", aliases: ["apples"], calories: 52, protein: 0.3, carbs: 13.8, fat: 0.2, grams: { piece: 182 } },
+    mixed_berries: { name: "Mixed berries", aliases: ["berries", "blueberries", "strawberries"], calories: 50, protein: 0.7, carbs: 12, fat: 0.3, grams: { cup: 145 } },
+    mixed_nuts: { name: "Chopped nuts", aliases: ["nuts", "almonds", "walnuts"], calories: 607, protein: 20, carbs: 21, fat: 54, grams: { tbsp: 9, cup: 140 } },
+    peanut_butter: { name: "Peanut butter", calories: 588, protein: 25, carbs: 20, fat: 50, grams: { tbsp: 16, tsp: 5 } },
+    olive_oil: { name: "Olive oil", aliases: ["oil"], calories: 884, protein: 0, carbs: 0, fat: 100, grams: { tbsp: 13.5, tsp: 4.5 } },
+    sesame_oil: { name: "Sesame oil", calories: 884, protein: 0, carbs: 0, fat: 100, grams: { tbsp: 13.6, tsp: 4.5 } },
+    butter: { name: "Butter", calories: 717, protein: 0.9, carbs: 0.1, fat: 81, grams: { tbsp: 14, tsp: 5 } },
+    soy_sauce: { name: "Soy sauce", calories: 53, protein: 8.1, carbs: 4.9, fat: 0.6, grams: { tbsp: 16, tsp: 5 } },
+    honey: { name: "Honey", calories: 304, protein: 0.3, carbs: 82.4, fat: 0, grams: { tbsp: 21, tsp: 7 } }
+};
+
+// --- Exercise Catalog ---
+// Every exercise the bundled plan uses (plus a few stand-ins), keyed by canonical ID. equipment lists what's needed
+// (an inner list means any one of those will do; optional props like yoga blocks aren't listed), and substitutes
+// are the equivalent exercises to try, in order, when that equipment isn't available.
+
+const EXERCISE_CATALOG = {
+    // Squats & lunges
+    goblet_squat: {
+        name: "Goblet Squat", aliases: ["goblet squats"], muscles: ["Quads", "Glutes", "Core"], equipment: [["kettlebell", "dumbbells"]],
+        cues: ["Hold the weight at your chest, elbows tucked", "Sit down between your heels, chest up", "Drive through the whole foot to stand"],
+        substitutes: ["bodyweight_squat"]
+    },
+    dumbbell_squat: {
+        name: "Dumbbell Squat", aliases: ["dumbbell squats"], muscles: ["Quads", "Glutes"], equipment: ["dumbbells"],
+        cues: ["Dumbbells at your sides or on your shoulders", "Knees track over your toes", "Keep your chest up as you stand"],
+        substitutes: ["goblet_squat", "bodyweight_squat"]
+    },
+    kettlebell_front_squat: {
+        name: "Kettlebell Front Squat", muscles: ["Quads", "Glutes", "Core"], equipment: ["kettlebell"],
+        cues: ["Rack the bell on your forearm against your chest", "Brace before you descend", "Elbow stays under the bell"],
+        substitutes: ["dumbbell_squat", "bodyweight_squat"]
+    },
+    bodyweight_squat: {
+        name: "Bodyweight Squat", aliases: ["air squat"], muscles: ["Quads", "Glutes"], equipment: [],
+        cues: ["Arms forward for balance", "Hips back and down to at least parallel", "Slow on the way down for extra difficulty"],
+        substitutes: []
+    },
+    dumbbell_lunge: {
+        name: "Dumbbell Lunge", aliases: ["dumbbell lunges", "dumbbell reverse lunge"], muscles: ["Quads", "Glutes", "Hamstrings"], equipment: ["dumbbells"],
+        cues: ["Long enough step that both knees reach about 90°", "Front knee stays over the ankle", "Push through the front heel"],
+        substitutes: ["bodyweight_lunge"]
+    },
+    walking_lunge: {
+        name: "Walking Lunge", aliases: ["walking lunges"], muscles: ["Quads", "Glutes", "Hamstrings"], equipment: [],
+        cues: ["Step straight into the next lunge", "Keep your torso upright", "Back knee lightly touches or hovers"],
+        substitutes: []
+    },
+    bodyweight_lunge: {
+        name: "Bodyweight Lunge", muscles: ["Quads", "Glutes", "Hamstrings"], equipment: [],
+        cues: ["Hands on hips", "Lower under control", "Alternate legs each rep"],
+        substitutes: []
+    },
+    squat_jump: {
+        name: "Squat Jump", aliases: ["jump squat"], muscles: ["Quads", "Glutes", "Calves"], equipment: [],
+        cues: ["Quarter to half squat, then jump explosively", "Land softly and go straight into the next rep"],
+        substitutes: []
+    },
+    box_jump: {
+        name: "Box Jump", aliases: ["box jumps"], muscles: ["Quads", "Glutes", "Calves"], equipment: [],
+        cues: ["Use a sturdy, stable surface", "Land softly with bent knees", "Step down, don't jump down"],
+        substitutes: []
+    },
+
+    // Hinges & swings
+    romanian_deadlift: {
+        name: "Romanian Deadlift", aliases: ["romanian deadlifts"], muscles: ["Hamstrings", "Glutes", "Lower back"], equipment: [["dumbbells", "kettlebell"]],
+        cues: ["Soft knees, push your hips back", "Weights stay close to your legs", "Stop when your back wants to round"],
+        substitutes: ["band_good_morning", "glute_bridge"]
+    },
+    single_leg_romanian_deadlift: {
+        name: "Single-Leg Romanian Deadlift", aliases: ["single-leg romanian deadlifts"], muscles: ["Hamstrings", "Glutes", "Core"], equipment: [["dumbbells", "kettlebell"]],
+        cues: ["Hold a wall or chair for balance if needed", "Hips stay square to the floor", "Reach the free leg straight back"],
+        substitutes: ["glute_bridge"]
+    },
+    kettlebell_deadlift: {
+        name: "Kettlebell Deadlift", muscles: ["Glutes", "Hamstrings", "Back"], equipment: ["kettlebell"],
+        cues: ["Bell between your feet", "Flat back, lats tight", "Stand tall by squeezing your glutes"],
+        substitutes: ["romanian_deadlift", "glute_bridge"]
+    },
+    band_good_morning: {
+        name: "Resistance Band Good Morning", muscles: ["Hamstrings", "Glutes", "Lower back"], equipment: ["resistance_band"],
+        cues: ["Band under your feet and behind your neck", "Hinge at the hips with a flat back", "Squeeze your glutes to stand"],
+        substitutes: ["glute_bridge"]
+    },
+    kettlebell_swing: {
+        name: "Kettlebell Swing", aliases: ["kettlebell swings"], muscles: ["Glutes", "Hamstrings", "Core", "Shoulders"], equipment: ["kettlebell"],
+        cues: ["It's a hip hinge, not a squat", "Snap your hips so the bell floats to chest height", "Arms guide, hips drive"],
+        substitutes: ["dumbbell_swing", "squat_jump"]
+    },
+    dumbbell_swing: {
+        name: "Dumbbell Swing", muscles: ["Glutes", "Hamstrings", "Core", "Shoulders"], equipment: ["dumbbells"],
+        cues: ["Hold one dumbbell by the end with both hands", "Hinge and snap your hips", "Keep your back flat at the bottom"],
+        substitutes: ["squat_jump"]
+    },
+    kettlebell_high_pull: {
+        name: "Kettlebell High Pull", aliases: ["kettlebell high pulls"], muscles: ["Upper back", "Shoulders", "Glutes"], equipment: ["kettlebell"],
+        cues: ["Start like a swing", "Pull the elbow high and back at the top", "Let the bell fall back into the hinge"],
+        substitutes: ["dumbbell_high_pull", "band_row"]
+    },
+    dumbbell_high_pull: {
+        name: "Dumbbell High Pull", muscles: ["Upper back", "Shoulders", "Glutes"], equipment: ["dumbbells"],
+        cues: ["Drive with your hips first", "Elbows lead, higher than your hands", "Control the way down"],
+        substitutes: ["band_row"]
+    },
+    dumbbell_snatch: {
+        name: "Dumbbell Snatch", muscles: ["Glutes", "Shoulders", "Upper back"], equipment: ["dumbbells"],
+        cues: ["Hinge, then explode from your hips", "Punch the dumbbell overhead to a locked arm", "Lower in two stages: shoulder, then hip"],
+        substitutes: ["kettlebell_swing", "squat_jump"]
+    },
+    dumbbell_thruster: {
+        name: "Dumbbell Thruster", aliases: ["dumbbell thrusters"], muscles: ["Quads", "Glutes", "Shoulders"], equipment: ["dumbbells"],
+        cues: ["Front squat with dumbbells on your shoulders", "Use the drive out of the squat to press overhead", "One smooth movement"],
+        substitutes: ["squat_jump"]
+    },
+    dumbbell_clean_and_press: {
+        name: "Dumbbell Clean & Press", muscles: ["Full body"], equipment: ["dumbbells"],
+        cues: ["Pull from the floor and catch at your shoulders", "Brace, then press overhead", "Reset at the bottom of each rep"],
+        substitutes: ["burpee"]
+    },
+
+    // Glutes & legs
+    glute_bridge: {
+        name: "Glute Bridge", aliases: ["glute bridges"], muscles: ["Glutes", "Hamstrings"], equipment: [],
+        cues: ["Feet flat, close to your glutes", "Push through your heels and squeeze at the top", "Ribs down, don't arch your lower back"],
+        substitutes: []
+    },
+    band_crab_walk: {
+        name: "Resistance Band Crab Walk", aliases: ["crab walks"], muscles: ["Glutes (medius)", "Hips"], equipment: ["resistance_band"],
+        cues: ["Band above your knees or around your ankles", "Stay in a half squat", "Keep tension on the band with every step"],
+        substitutes: ["side_lying_leg_raise"]
+    },
+    band_clamshell: {
+        name: "Resistance Band Clamshell", aliases: ["clamshells"], muscles: ["Glutes (medius)", "Hips"], equipment: ["resistance_band"],
+        cues: ["Lie on your side, knees bent, feet together", "Open the top knee without rolling back", "Pause at the top"],
+        substitutes: ["side_lying_leg_raise"]
+    },
+    band_leg_abduction: {
+        name: "Resistance Band Leg Abduction", muscles: ["Glutes (medius)", "Hips"], equipment: ["resistance_band"],
+        cues: ["Stand tall, hold something for balance", "Lift the leg out to the side without leaning", "Control the return"],
+        substitutes: ["side_lying_leg_raise"]
+    },
+    band_leg_press: {
+        name: "Resistance Band Leg Press", muscles: ["Quads", "Glutes"], equipment: ["resistance_band"],
+        cues: ["Lie on your back, band looped around your feet", "Press your legs out until almost straight", "Return slowly"],
+        substitutes: ["bodyweight_squat"]
+    },
+    side_lying_leg_raise: {
+        name: "Side-Lying Leg Raise", muscles: ["Glutes (medius)", "Hips"], equipment: [],
+        cues: ["Lie on your side in a straight line", "Lift the top leg with the toes pointing forward", "Don't let your hips roll back"],
+        substitutes: []
+    },
+    prone_leg_lift: {
+        name: "Prone Leg Lift", aliases: ["ankle weighted leg lifts"], muscles: ["Glutes", "Hamstrings"], equipment: ["ankle_weights"],
+        cues: ["Lie face down, forehead on your hands", "Lift one leg by squeezing the glute", "Keep your hips on the floor"],
+        substitutes: ["glute_bridge"]
+    },
+
+    // Push
+    dumbbell_floor_press: {
+        name: "Dumbbell Floor Press", aliases: ["dumbbell bench press"], muscles: ["Chest", "Triceps", "Shoulders"], equipment: ["dumbbells"],
+        cues: ["Lie on the floor, knees bent", "Lower until your upper arms touch the floor", "Press up and slightly together"],
+        substitutes: ["push_up"]
+    },
+    dumbbell_flye: {
+        name: "Dumbbell Flye", aliases: ["dumbbell flyes"], muscles: ["Chest"], equipment: ["dumbbells"],
+        cues: ["Slight bend in the elbows throughout", "Open wide until you feel the stretch", "Hug a big tree on the way up"],
+        substitutes: ["push_up"]
+    },
+    push_up: {
+        name: "Push-up", aliases: ["push-ups"], muscles: ["Chest", "Triceps", "Shoulders", "Core"], equipment: [],
+        cues: ["Body in one straight line", "Elbows at about 45° from your body", "Drop to your knees to finish the set if needed"],
+        substitutes: []
+    },
+    close_grip_push_up: {
+        name: "Close-Grip Push-up", muscles: ["Triceps", "Chest"], equipment: [],
+        cues: ["Hands under your shoulders", "Elbows brush your sides", "Use your knees if needed"],
+        substitutes: []
+    },
+    pike_push_up: {
+        name: "Pike Push-up", muscles: ["Shoulders", "Triceps"], equipment: [],
+        cues: ["Hips high, body in an upside-down V", "Lower your head towards your hands", "Press back up through your shoulders"],
+        substitutes: []
+    },
+    dumbbell_overhead_press: {
+        name: "Dumbbell Overhead Press", muscles: ["Shoulders", "Triceps"], equipment: ["dumbbells"],
+        cues: ["Brace your core and squeeze your glutes", "Press straight up, biceps by your ears", "Don't lean back"],
+        substitutes: ["kettlebell_overhead_press", "band_overhead_press", "pike_push_up"]
+    },
+    arnold_press: {
+        name: "Arnold Press", muscles: ["Shoulders", "Triceps"], equipment: ["dumbbells"],
+        cues: ["Start palms facing you at chin height", "Rotate your palms forward as you press", "Reverse the rotation on the way down"],
+        substitutes: ["kettlebell_overhead_press", "band_overhead_press", "pike_push_up"]
+    },
+    kettlebell_overhead_press: {
+        name: "Kettlebell Overhead Press", muscles: ["Shoulders", "Triceps", "Core"], equipment: ["kettlebell"],
+        cues: ["Start from the rack position", "Press up, finishing with your bicep by your ear", "One arm at a time"],
+        substitutes: []
+    },
+    band_overhead_press: {
+        name: "Resistance Band Overhead Press", muscles: ["Shoulders", "Triceps"], equipment: ["resistance_band"],
+        cues: ["Stand on the band, handles at your shoulders", "Press overhead without arching", "Lower slowly against the band"],
+        substitutes: []
+    },
+    dumbbell_lateral_raise: {
+        name: "Dumbbell Lateral Raise", aliases: ["dumbbell lateral raises", "lateral raise"], muscles: ["Shoulders (side)"], equipment: ["dumbbells"],
+        cues: ["Light weights, slight bend in the elbows", "Raise out to the side to shoulder height", "Lead with your elbows"],
+        substitutes: ["band_lateral_raise"]
+    },
+    dumbbell_front_raise: {
+        name: "Dumbbell Front Raise", aliases: ["dumbbell front raises", "front raise"], muscles: ["Shoulders (front)"], equipment: ["dumbbells"],
+        cues: ["Raise to shoulder height in front of you", "No swinging", "Lower for a slow count of three"],
+        substitutes: ["band_front_raise"]
+    },
+    band_lateral_raise: {
+        name: "Resistance Band Lateral Raise", muscles: ["Shoulders (side)"], equipment: ["resistance_band"],
+        cues: ["Stand on the band", "Raise to shoulder height", "Control the band on the way down"],
+        substitutes: []
+    },
+    band_front_raise: {
+        name: "Resistance Band Front Raise", muscles: ["Shoulders (front)"], equipment: ["resistance_band"],
+        cues: ["Stand on the band", "Raise straight ahead to shoulder height", "Keep your core tight"],
+        substitutes: []
+    },
+    triceps_dip: {
+        name: "Triceps Dip", aliases: ["triceps dips", "tricep dips"], muscles: ["Triceps", "Chest"], equipment: ["bench"],
+        cues: ["Hands on the edge of a sturdy chair or bench", "Lower until your elbows reach about 90°", "Keep your hips close to the bench"],
+        substitutes: ["close_grip_push_up"]
+    },
+    overhead_triceps_extension: {
+        name: "Overhead Triceps Extension", aliases: ["overhead triceps extensions", "triceps extension", "triceps extensions"], muscles: ["Triceps"], equipment: [["dumbbells", "kettlebell"]],
+        cues: ["Elbows point forward, close to your head", "Lower behind your head", "Only your forearms move"],
+        substitutes: ["band_triceps_pushdown", "close_grip_push_up"]
+    },
+    triceps_kickback: {
+        name: "Dumbbell Triceps Kickback", aliases: ["dumbbell kickbacks", "kickbacks"], muscles: ["Triceps"], equipment: ["dumbbells"],
+        cues: ["Hinge forward, upper arm parallel to the floor", "Straighten the arm fully and squeeze", "Upper arm stays still"],
+        substitutes: ["band_triceps_pushdown", "close_grip_push_up"]
+    },
+    band_triceps_pushdown: {
+        name: "Resistance Band Triceps Pushdown", muscles: ["Triceps"], equipment: ["resistance_band"],
+        cues: ["Anchor the band high, e.g. over a door", "Elbows pinned to your sides", "Push down until your arms are straight"],
+        substitutes: []
+    },
+
+    // Pull
+    dumbbell_row: {
+        name: "Dumbbell Row", aliases: ["dumbbell rows", "dumbbell bent-over row", "dumbbell bent-over rows"], muscles: ["Upper back", "Lats", "Biceps"], equipment: ["dumbbells"],
+        cues: ["Flat back, hinged forward", "Pull your elbow towards your hip", "Squeeze your shoulder blade at the top"],
+        substitutes: ["kettlebell_row", "band_row"]
+    },
+    kettlebell_row: {
+        name: "Kettlebell Row", muscles: ["Upper back", "Lats", "Biceps"], equipment: ["kettlebell"],
+        cues: ["Support yourself on a bench or knee", "Row the bell to your hip", "Don't twist your torso"],
+        substitutes: []
+    },
+    band_row: {
+        name: "Resistance Band Row", muscles: ["Upper back", "Lats", "Biceps"], equipment: ["resistance_band"],
+        cues: ["Loop the band around your feet or a post", "Pull to your lower ribs", "Shoulders down and back"],
+        substitutes: []
+    },
+    renegade_row: {
+        name: "Renegade Row", aliases: ["renegade rows"], muscles: ["Upper back", "Core", "Chest"], equipment: ["dumbbells"],
+        cues: ["Push-up position on the dumbbells, feet wide", "Row one side without rotating your hips", "Alternate sides"],
+        substitutes: ["band_row"]
+    },
+    dumbbell_pullover: {
+        name: "Dumbbell Pullover", muscles: ["Lats", "Chest"], equipment: ["dumbbells"],
+        cues: ["One dumbbell held over your chest with both hands", "Lower behind your head with slightly bent arms", "Pull back over using your lats"],
+        substitutes: ["band_row"]
+    },
+    band_face_pull: {
+        name: "Resistance Band Face Pull", aliases: ["face pulls", "face pull"], muscles: ["Rear shoulders", "Upper back"], equipment: ["resistance_band"],
+        cues: ["Anchor the band at face height", "Pull towards your forehead, hands apart", "Finish with your elbows high"],
+        substitutes: ["reverse_snow_angel"]
+    },
+    reverse_snow_angel: {
+        name: "Reverse Snow Angel", muscles: ["Rear shoulders", "Upper back"], equipment: [],
+        cues: ["Lie face down, arms by your sides", "Lift your arms and sweep them overhead", "Keep them off the floor the whole time"],
+        substitutes: []
+    },
+    biceps_curl: {
+        name: "Biceps Curl", aliases: ["bicep curls", "bicep curl", "biceps curls"], muscles: ["Biceps"], equipment: ["dumbbells"],
+        cues: ["Elbows stay at your sides", "Curl up and squeeze", "Lower for a slow count of three"],
+        substitutes: ["kettlebell_curl", "band_curl"]
+    },
+    hammer_curl: {
+        name: "Hammer Curl", aliases: ["hammer curls"], muscles: ["Biceps", "Forearms"], equipment: ["dumbbells"],
+        cues: ["Palms face each other", "Elbows stay still", "No swinging"],
+        substitutes: ["kettlebell_curl", "band_curl"]
+    },
+    concentration_curl: {
+        name: "Concentration Curl", aliases: ["concentration curls"], muscles: ["Biceps"], equipment: ["dumbbells"],
+        cues: ["Sit and brace your elbow against your inner thigh", "Curl up fully", "Lower all the way down"],
+        substitutes: ["band_curl", "kettlebell_curl"]
+    },
+    preacher_curl: {
+        name: "Preacher Curl", aliases: ["preacher curls"], muscles: ["Biceps"], equipment: [["resistance_band", "dumbbells"]],
+        cues: ["Rest the back of your upper arm on your knee", "Curl without lifting your arm", "Full stretch at the bottom"],
+        substitutes: ["kettlebell_curl"]
+    },
+    kettlebell_curl: {
+        name: "Kettlebell Curl", muscles: ["Biceps", "Forearms"], equipment: ["kettlebell"],
+        cues: ["Hold the bell by the horns or handle", "Elbows at your sides", "Control the way down"],
+        substitutes: []
+    },
+    band_curl: {
+        name: "Resistance Band Curl", muscles: ["Biceps"], equipment: ["resistance_band"],
+        cues: ["Stand on the band", "Curl up without moving your elbows", "Resist the band on the way down"],
+        substitutes: []
+    },
+
+    // Core
+    plank: {
+        name: "Plank", muscles: ["Core", "Shoulders"], equipment: [],
+        cues: ["Elbows under your shoulders", "Squeeze your glutes, ribs down", "Don't let your hips sag"],
+        substitutes: []
+    },
+    side_plank: {
+        name: "Side Plank", muscles: ["Obliques", "Core"], equipment: [],
+        cues: ["Elbow under your shoulder", "Hips high, body straight", "Drop the bottom knee to make it easier"],
+        substitutes: []
+    },
+    plank_jack: {
+        name: "Plank Jack", aliases: ["plank jacks"], muscles: ["Core", "Shoulders"], equipment: [],
+        cues: ["Strong plank on your hands", "Jump your feet out and in", "Keep your hips level"],
+        substitutes: []
+    },
+    plank_leg_lift: {
+        name: "Plank with Leg Lift", muscles: ["Core", "Glutes"], equipment: [],
+        cues: ["Strong plank", "Lift one leg without tilting your hips", "Alternate legs"],
+        substitutes: []
+    },
+    mountain_climber: {
+        name: "Mountain Climber", aliases: ["mountain climbers"], muscles: ["Core", "Shoulders", "Hip flexors"], equipment: [],
+        cues: ["Hands under your shoulders", "Drive your knees towards your chest", "Hips stay low"],
+        substitutes: []
+    },
+    dead_bug: {
+        name: "Dead Bug", muscles: ["Core"], equipment: [],
+        cues: ["Lower back pressed into the floor", "Extend the opposite arm and leg slowly", "Breathe out as you extend"],
+        substitutes: []
+    },
+    bird_dog: {
+        name: "Bird-Dog", aliases: ["bird dog"], muscles: ["Core", "Lower back", "Glutes"], equipment: [],
+        cues: ["Hands under your shoulders, knees under your hips", "Reach the opposite arm and leg long", "Don't rotate your hips"],
+        substitutes: []
+    },
+    leg_raise: {
+        name: "Leg Raise", aliases: ["leg raises"], muscles: ["Lower abs", "Hip flexors"], equipment: [],
+        cues: ["Lower back stays on the floor (or no swinging when hanging)", "Lower slowly", "Bend your knees to make it easier"],
+        substitutes: []
+    },
+
+    // Cardio & conditioning
+    skipping_rope: {
+        name: "Skipping Rope", aliases: ["jump rope"], muscles: ["Calves", "Cardio"], equipment: ["skipping_rope"],
+        cues: ["Small jumps on the balls of your feet", "Turn the rope with your wrists", "Elbows close to your body"],
+        substitutes: ["jumping_jack", "high_knees"]
+    },
+    jumping_jack: {
+        name: "Jumping Jacks", aliases: ["jumping jack"], muscles: ["Cardio", "Calves"], equipment: [],
+        cues: ["Land softly", "Arms all the way overhead", "Keep a steady rhythm"],
+        substitutes: []
+    },
+    high_knees: {
+        name: "High Knees", muscles: ["Cardio", "Hip flexors"], equipment: [],
+        cues: ["Run on the spot", "Knees up to hip height", "Pump your arms"],
+        substitutes: []
+    },
+    burpee: {
+        name: "Burpee", aliases: ["burpees", "burpee to plank jack"], muscles: ["Full body", "Cardio"], equipment: [],
+        cues: ["Hands down, jump or step back to a plank", "Optional push-up", "Jump up with your arms overhead"],
+        substitutes: []
+    },
+    burpee_to_press: {
+        name: "Burpee to Overhead Press", muscles: ["Full body", "Shoulders"], equipment: ["dumbbells"],
+        cues: ["Burpee with your hands on light dumbbells", "Stand up and press them overhead", "Move smoothly between the two"],
+        substitutes: ["burpee"]
+    },
+    agility_drills: {
+        name: "Agility Ladder Drills", aliases: ["agility ladder drill", "agility drills"], muscles: ["Calves", "Cardio", "Coordination"], equipment: [],
+        cues: ["Mark out a ladder on the floor", "Stay light on the balls of your feet", "Quick feet, arms relaxed"],
+        substitutes: []
+    },
+    walking: {
+        name: "Brisk Walk", aliases: ["light walking", "light jogging", "skipping rope / brisk walk"], muscles: ["Cardio", "Legs"], equipment: [],
+        cues: ["A pace where you can talk but not sing", "Swing your arms", "Outdoors if you can"],
+        substitutes: []
+    },
+
+    // Mobility & recovery
+    dynamic_stretches: {
+        name: "Dynamic Stretches", aliases: ["dynamic warm-up", "dynamic stretch"], muscles: ["Mobility"], equipment: [],
+        cues: ["Leg swings, arm circles, hip circles", "Move through a comfortable range", "Gradually get bigger"],
+        substitutes: []
+    },
+    static_stretches: {
+        name: "Static Stretches", aliases: ["static stretch", "long hold stretches"], muscles: ["Mobility"], equipment: [],
+        cues: ["Hold each stretch 20-45 seconds", "Breathe slowly", "Stretch, don't bounce"],
+        substitutes: []
+    },
+    yoga_flow: {
+        name: "Yoga Flow", aliases: ["yoga poses"], muscles: ["Mobility", "Core"], equipment: [],
+        cues: ["Move with your breath", "Use blocks to bring the floor closer", "Skip anything that pinches"],
+        substitutes: []
+    },
+    foam_rolling: {
+        name: "Foam Rolling", aliases: ["foam roll"], muscles: ["Recovery"], equipment: ["foam_roller"],
+        cues: ["Roll slowly, about an inch a second", "Pause on tight spots", "Avoid rolling over joints"],
+        substitutes: ["static_stretches"]
+    }
+};
+
 // --- 6-Month Comprehensive Workout Plan Data ---
 // This is a large object. Consider moving it to a separate `workout-plan.js` for better organization
 // and import it if your project grows larger with a build step (like Webpack/Vite).
@@ -591,21 +6206,21 @@ const WORKOUT_PLAN = {
             type: "Upper Body Strength A",
             description: "Starting upper/lower split.",
             exercises: [
-                { name: "Dumbbell Bench Press (Floor)", sets: 4, reps: 8-12, notes: "Focus on chest." },
+                { name: "Dumbbell Bench Press (Floor)", sets: 4, reps: "8-12", notes: "Focus on chest." },
                 { name: "Dumbbell Rows (Single-Arm)", sets: 4, reps: "8-12 per arm", notes: "Stable core." },
-                { name: "Dumbbell Overhead Press (Seated)", sets: 4, reps: 8-12, notes: "Support back." },
-                { name: "Bicep Curls (Dumbbell)", sets: 3, reps: 10-15 },
-                { name: "Triceps Extensions (Dumbbell)", sets: 3, reps: 10-15 }
+                { name: "Dumbbell Overhead Press (Seated)", sets: 4, reps: "8-12", notes: "Support back." },
+                { name: "Bicep Curls (Dumbbell)", sets: 3, reps: "10-15" },
+                { name: "Triceps Extensions (Dumbbell)", sets: 3, reps: "10-15" }
             ]
         },
         "Day 2": {
             type: "Lower Body & Core",
             description: "Leg and core focus.",
             exercises: [
-                { name: "Dumbbell Squats (Front or Goblet)", sets: 4, reps: 10-15 },
-                { name: "Kettlebell Romanian Deadlifts (Sumo Stance)", sets: 4, reps: 10-15 },
-                { name: "Glute Bridge (Ankle Weights)", sets: 3, reps: 15-20, notes: "Use ankle weights for added resistance." },
-                { name: "Leg Raises (Ankle Weights)", sets: 3, reps: 15-20, notes: "Lie on back, controlled movement." },
+                { name: "Dumbbell Squats (Front or Goblet)", sets: 4, reps: "10-15" },
+                { name: "Kettlebell Romanian Deadlifts (Sumo Stance)", sets: 4, reps: "10-15" },
+                { name: "Glute Bridge (Ankle Weights)", sets: 3, reps: "15-20", notes: "Use ankle weights for added resistance." },
+                { name: "Leg Raises (Ankle Weights)", sets: 3, reps: "15-20", notes: "Lie on back, controlled movement." },
                 { name: "Resistance Band Leg Abduction (Standing)", sets: 3, reps: "15-20 per side" }
             ]
         },
@@ -614,7 +6229,7 @@ const WORKOUT_PLAN = {
             description: "Interval training with skipping.",
             exercises: [
                 { name: "Skipping Rope HIIT", sets: "8 rounds", reps: "45s fast / 30s rest", notes: "Increase work time." },
-                { name: "Burpee to Overhead Press (Light Dumbbells)", sets: 3, reps: 10-12, notes: "Add a press at the top." }
+                { name: "Burpee to Overhead Press (Light Dumbbells)", sets: 3, reps: "10-12", notes: "Add a press at the top." }
             ]
         },
         "Day 4": { type: "Rest", description: "Complete rest." },
@@ -623,10 +6238,10 @@ const WORKOUT_PLAN = {
             description: "Different upper body exercises.",
             exercises: [
                 { name: "Push-ups (Elevated on Yoga Blocks for deeper range)", sets: 4, reps: "AMRAP" },
-                { name: "Kettlebell High Pulls", sets: 4, reps: 12-15, notes: "Explosive, use hips." },
-                { name: "Dumbbell Lateral Raises", sets: 3, reps: 15-20, notes: "Focus on side delts." },
+                { name: "Kettlebell High Pulls", sets: 4, reps: "12-15", notes: "Explosive, use hips." },
+                { name: "Dumbbell Lateral Raises", sets: 3, reps: "15-20", notes: "Focus on side delts." },
                 { name: "Concentration Curls (Dumbbell)", sets: 3, reps: "10-12 per arm" },
-                { name: "Overhead Triceps Extension (Single Dumbbell)", sets: 3, reps: 12-15 }
+                { name: "Overhead Triceps Extension (Single Dumbbell)", sets: 3, reps: "12-15" }
             ]
         },
         "Day 6": {
@@ -645,10 +6260,10 @@ const WORKOUT_PLAN = {
             type: "Upper Body Strength A",
             description: "Progress from last week (weight/reps).",
             exercises: [
-                { name: "Dumbbell Bench Press (Floor)", sets: 4, reps: 10-15 },
+                { name: "Dumbbell Bench Press (Floor)", sets: 4, reps: "10-15" },
                 { name: "Dumbbell Rows (Single-Arm)", sets: 4, reps: "10-15 per arm" },
-                { name: "Dumbbell Overhead Press (Seated)", sets: 4, reps: 10-15 },
-                { name: "Bicep Curls (Dumbbell)", sets: 3, reps: 12-18 },
+                { name: "Dumbbell Overhead Press (Seated)", sets: 4, reps: "10-15" },
+                { name: "Bicep Curls (Dumbbell)", sets: 3, reps: "12-18" },
                 { name: "Triceps Dips (Chair/Bench)", sets: 3, reps: "AMRAP" }
             ]
         },
@@ -656,10 +6271,10 @@ const WORKOUT_PLAN = {
             type: "Lower Body & Core",
             description: "Progression from last week.",
             exercises: [
-                { name: "Dumbbell Squats (Front or Goblet)", sets: 4, reps: 12-18 },
-                { name: "Kettlebell Romanian Deadlifts (Sumo Stance)", sets: 4, reps: 12-18 },
-                { name: "Glute Bridge (Ankle Weights)", sets: 3, reps: 18-25 },
-                { name: "Hanging Leg Raises (or lying leg raises with ankle weights)", sets: 3, reps: 15-20 },
+                { name: "Dumbbell Squats (Front or Goblet)", sets: 4, reps: "12-18" },
+                { name: "Kettlebell Romanian Deadlifts (Sumo Stance)", sets: 4, reps: "12-18" },
+                { name: "Glute Bridge (Ankle Weights)", sets: 3, reps: "18-25" },
+                { name: "Hanging Leg Raises (or lying leg raises with ankle weights)", sets: 3, reps: "15-20" },
                 { name: "Resistance Band Clamshells", sets: 3, reps: "20-25 per side" }
             ]
         },
@@ -669,7 +6284,7 @@ const WORKOUT_PLAN = {
             exercises: [
                 { name: "Skipping Rope (High Knees/Double Unders attempts)", sets: 1, reps: "15 min" },
                 { name: "Agility Ladder Drills (imaginary or using skipping rope on floor)", sets: 1, reps: "10 min", notes: "Quick feet, lateral shuffles." },
-                { name: "Plank Jacks", sets: 3, reps: 15-20 }
+                { name: "Plank Jacks", sets: 3, reps: "15-20" }
             ]
         },
         "Day 4": { type: "Rest", description: "Complete rest." },
@@ -678,10 +6293,10 @@ const WORKOUT_PLAN = {
             description: "Progression.",
             exercises: [
                 { name: "Push-ups (Elevated on Yoga Blocks)", sets: 4, reps: "AMRAP" },
-                { name: "Kettlebell High Pulls", sets: 4, reps: 15-20 },
-                { name: "Dumbbell Front Raises", sets: 3, reps: 15-20 },
-                { name: "Hammer Curls (Dumbbell)", sets: 3, reps: 12-18 },
-                { name: "Overhead Triceps Extension (Single Dumbbell)", sets: 3, reps: 15-20 }
+                { name: "Kettlebell High Pulls", sets: 4, reps: "15-20" },
+                { name: "Dumbbell Front Raises", sets: 3, reps: "15-20" },
+                { name: "Hammer Curls (Dumbbell)", sets: 3, reps: "12-18" },
+                { name: "Overhead Triceps Extension (Single Dumbbell)", sets: 3, reps: "15-20" }
             ]
         },
         "Day 6": {
@@ -715,23 +6330,23 @@ const WORKOUT_PLAN = {
             type: "Upper Body Strength A - High Volume",
             description: "Increased sets and reps.",
             exercises: [
-                { name: "Dumbbell Bench Press (Floor)", sets: 5, reps: 10-15 },
-                { name: "Dumbbell Pullover (on Yoga Block for ROM)", sets: 3, reps: 15-20 },
-                { name: "Dumbbell Overhead Press (Standing)", sets: 5, reps: 10-15 },
-                { name: "Resistance Band Face Pulls", sets: 4, reps: 15-20 },
+                { name: "Dumbbell Bench Press (Floor)", sets: 5, reps: "10-15" },
+                { name: "Dumbbell Pullover (on Yoga Block for ROM)", sets: 3, reps: "15-20" },
+                { name: "Dumbbell Overhead Press (Standing)", sets: 5, reps: "10-15" },
+                { name: "Resistance Band Face Pulls", sets: 4, reps: "15-20" },
                 { name: "Alternating Bicep Curls", sets: 3, reps: "10-12 per arm" },
-                { name: "Overhead Triceps Extension (Two-hand Dumbbell)", sets: 3, reps: 12-15 }
+                { name: "Overhead Triceps Extension (Two-hand Dumbbell)", sets: 3, reps: "12-15" }
             ]
         },
         "Day 2": {
             type: "Lower Body & Core - Strength Focus",
             description: "Heavier weights, lower rep range for strength.",
             exercises: [
-                { name: "Kettlebell Goblet Squats", sets: 5, reps: 8-12 },
+                { name: "Kettlebell Goblet Squats", sets: 5, reps: "8-12" },
                 { name: "Dumbbell Single-Leg Romanian Deadlifts (with support)", sets: 4, reps: "8-10 per leg" },
-                { name: "Kettlebell Swings (Heavy)", sets: 4, reps: 15-20 },
-                { name: "Ankle Weighted Leg Lifts (Prone)", sets: 3, reps: 15-20 },
-                { name: "Resistance Band Leg Press (Loop around feet)", sets: 3, reps: 20-25 }
+                { name: "Kettlebell Swings (Heavy)", sets: 4, reps: "15-20" },
+                { name: "Ankle Weighted Leg Lifts (Prone)", sets: 3, reps: "15-20" },
+                { name: "Resistance Band Leg Press (Loop around feet)", sets: 3, reps: "20-25" }
             ]
         },
         "Day 3": {
@@ -739,8 +6354,8 @@ const WORKOUT_PLAN = {
             description: "Higher intensity metabolic conditioning.",
             exercises: [
                 { name: "Skipping Rope (Max Effort Intervals)", sets: "10 rounds", reps: "45s sprint / 15s rest" },
-                { name: "Burpee to Plank Jack Combo", sets: 4, reps: 10-12 },
-                { name: "Jumping Jacks", sets: 3, reps: 30-45 }
+                { name: "Burpee to Plank Jack Combo", sets: 4, reps: "10-12" },
+                { name: "Jumping Jacks", sets: 3, reps: "30-45" }
             ]
         },
         "Day 4": { type: "Rest / Light Walk", description: "Active recovery." },
@@ -751,7 +6366,7 @@ const WORKOUT_PLAN = {
                 { name: "Dumbbell Snatch (Alternating)", sets: 4, reps: "8-10 per arm" },
                 { name: "Renegade Rows (Dumbbells)", sets: 4, reps: "8-10 per side" },
                 { name: "Push-ups (on Dumbbells for stability)", sets: 4, reps: "AMRAP" },
-                { name: "Kettlebell Front Squat", sets: 3, reps: 10-12 },
+                { name: "Kettlebell Front Squat", sets: 3, reps: "10-12" },
                 { name: "Skipping Rope", sets: 1, reps: "10 min finish" }
             ]
         },
@@ -777,19 +6392,19 @@ const WORKOUT_PLAN = {
             exercises: [
                 { name: "Dumbbell Bench Press (Floor - Drop Sets)", sets: 3, reps: "8-12 + drop" },
                 { name: "Dumbbell Bent-Over Rows (Pyramid Sets)", sets: 4, reps: "12,10,8,6 (increasing weight)" },
-                { name: "Arnold Press (Dumbbells)", sets: 4, reps: 10-12 },
-                { name: "Dumbbell Flyes (Floor)", sets: 3, reps: 15-20 },
-                { name: "Preacher Curls (Resistance Band or Dumbbell on knee)", sets: 3, reps: 15-20 },
-                { name: "Overhead Triceps Extensions (Kettlebell)", sets: 3, reps: 15-20 }
+                { name: "Arnold Press (Dumbbells)", sets: 4, reps: "10-12" },
+                { name: "Dumbbell Flyes (Floor)", sets: 3, reps: "15-20" },
+                { name: "Preacher Curls (Resistance Band or Dumbbell on knee)", sets: 3, reps: "15-20" },
+                { name: "Overhead Triceps Extensions (Kettlebell)", sets: 3, reps: "15-20" }
             ]
         },
         "Day 2": {
             type: "Lower Body & Core - Power Focus",
             description: "Explosive movements and core stability.",
             exercises: [
-                { name: "Kettlebell Goblet Squat (Tempo: 3s down, 1s up)", sets: 4, reps: 10-12 },
-                { name: "Kettlebell Deadlift (Sumo or Conventional)", sets: 4, reps: 8-12, notes: "Focus on form." },
-                { name: "Box Jumps (using sturdy surface/yoga blocks stacked carefully)", sets: 4, reps: 8-10 },
+                { name: "Kettlebell Goblet Squat (Tempo: 3s down, 1s up)", sets: 4, reps: "10-12" },
+                { name: "Kettlebell Deadlift (Sumo or Conventional)", sets: 4, reps: "8-12", notes: "Focus on form." },
+                { name: "Box Jumps (using sturdy surface/yoga blocks stacked carefully)", sets: 4, reps: "8-10" },
                 { name: "Walking Lunges (with Ankle Weights)", sets: 3, reps: "10-15 per leg" },
                 { name: "Plank with Leg Lift (Ankle Weights)", sets: 3, reps: "10-12 per leg" }
             ]
@@ -798,12 +6413,17 @@ const WORKOUT_PLAN = {
             type: "HIIT & Conditioning Circuit",
             description: "Maximum effort to burn fat.",
             exercises: [
-                { name: "Circuit (3-4 rounds, minimal rest):", sets: 1, reps: "No rest between exercises" },
-                { name: "- Skipping Rope (1 min max effort)" },
-                { name: "- Burpees (10-12 reps)" },
-                { name: "- Dumbbell Renegade Rows (8-10 per side)" },
-                { name: "- Kettlebell Swings (20-25 reps)" },
-                { name: "- Mountain Climbers (30-45 sec)" }
+                {
+                    group: "circuit", name: "Conditioning Circuit", rounds: "3-4",
+                    rest: { betweenExercises: 0, betweenRounds: 60 }, notes: "Minimal rest.",
+                    exercises: [
+                        { name: "Skipping Rope", reps: "1 min", notes: "Max effort." },
+                        { name: "Burpees", reps: "10-12" },
+                        { name: "Dumbbell Renegade Rows", reps: "8-10 per side" },
+                        { name: "Kettlebell Swings", reps: "20-25" },
+                        { name: "Mountain Climbers", reps: "30-45 sec" }
+                    ]
+                }
             ]
         },
         "Day 4": { type: "Rest", description: "Complete rest." },
@@ -811,12 +6431,17 @@ const WORKOUT_PLAN = {
             type: "Full Body Metabolic Finisher",
             description: "High-intensity, high-volume full body session.",
             exercises: [
-                { name: "Complex (perform all exercises with same dumbbell without putting it down - 3-4 rounds):", sets: 1, reps: "Minimal rest" },
-                { name: "- Dumbbell Squat (10-12 reps)" },
-                { name: "- Dumbbell Row (10-12 reps)" },
-                { name: "- Dumbbell Clean & Press (8-10 reps)" },
-                { name: "- Dumbbell Reverse Lunge (8-10 per leg)" },
-                { name: "- Dumbbell Push-ups (AMRAP)" }
+                {
+                    group: "complex", name: "Dumbbell Complex", rounds: "3-4",
+                    rest: { betweenExercises: 0, betweenRounds: 60 }, notes: "Perform all exercises with the same dumbbell without putting it down. Minimal rest.",
+                    exercises: [
+                        { name: "Dumbbell Squat", reps: "10-12" },
+                        { name: "Dumbbell Row", reps: "10-12" },
+                        { name: "Dumbbell Clean & Press", reps: "8-10" },
+                        { name: "Dumbbell Reverse Lunge", reps: "8-10 per leg" },
+                        { name: "Dumbbell Push-ups", reps: "AMRAP" }
+                    ]
+                }
             ]
         },
         "Day 6": {
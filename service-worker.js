@@ -1,4 +1,4 @@
-const CACHE_NAME = 'fitness-tracker-pwa-v1';
+const CACHE_NAME = 'fitness-tracker-pwa-v2'; // Bump whenever a cached file changes so installed apps pick up the new version
 const urlsToCache = [
     '/',
     '/index.html',